@@ -0,0 +1,89 @@
+const ProgressReporter = require('./progress');
+
+const STATE_ICONS = {
+  queued: '⏳',
+  downloading: '📥',
+  uploading: '🚀',
+  done: '✅',
+  failed: '❌'
+};
+
+// One summary message for every job of a batch upload, edited as the jobs
+// move through the queue. Throttling and 429 handling are inherited from
+// ProgressReporter; render() is replaced with the per-item overview.
+class BatchReporter extends ProgressReporter {
+  constructor(telegram, chatId, jobs) {
+    super(telegram, chatId, null);
+    this.items = jobs.map(job => ({
+      jobId: job.id,
+      title: job.videoInfo.title,
+      state: job.state,
+      percent: null,
+      error: job.error,
+      videoUrl: job.result?.videoUrl || null
+    }));
+  }
+
+  // Job state changes are always shown, percentages are throttled
+  async setItem(jobId, changes, force = false) {
+    const item = this.items.find(entry => entry.jobId === jobId);
+    if (!item) return;
+
+    Object.assign(item, changes);
+
+    if (force) this.nextEditAt = 0;
+    if (Date.now() < this.nextEditAt) return;
+    await this.edit(this.render());
+  }
+
+  isFinished() {
+    return this.items.every(item => item.state === 'done' || item.state === 'failed');
+  }
+
+  counts() {
+    return {
+      done: this.items.filter(item => item.state === 'done').length,
+      failed: this.items.filter(item => item.state === 'failed').length
+    };
+  }
+
+  render() {
+    const { done, failed } = this.counts();
+    const total = this.items.length;
+
+    // The running item counts towards the bar with its own progress
+    const running = this.items.find(item => item.state === 'uploading' || item.state === 'downloading');
+    const overall = ((done + failed + (running?.percent || 0) / 100) / total) * 100;
+
+    const lines = [
+      `📦 Batch upload: ${done}/${total} done${failed > 0 ? ` · ${failed} failed` : ''}`,
+      `${ProgressReporter.progressBar(overall)} ${Math.floor(overall)}%`,
+      ''
+    ];
+
+    this.items.forEach((item, index) => {
+      let line = `${STATE_ICONS[item.state] || '•'} ${index + 1}. ${item.title}`;
+      if (item.state === 'uploading' && item.percent !== null) line += ` — ${item.percent}%`;
+      if (item.state === 'failed' && item.error) line += ` — ${item.error}`;
+      lines.push(line);
+    });
+
+    return lines.join('\n');
+  }
+
+  // Final message with a link for every uploaded video
+  summary() {
+    const { done, failed } = this.counts();
+    const lines = [`📦 Batch finished: ${done} uploaded${failed > 0 ? `, ${failed} failed` : ''}`, ''];
+
+    for (const item of this.items) {
+      lines.push(item.state === 'done'
+        ? `✅ ${item.title}\n${item.videoUrl}${item.warning ? `\n⚠️ ${item.warning}` : ''}`
+        : `❌ ${item.title}: ${item.error}`);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = BatchReporter;
@@ -1,64 +1,141 @@
-const { Telegraf, Markup, session } = require('telegraf');
+const { Telegraf, Markup } = require('telegraf');
 const config = require('./config');
 const FileDownloader = require('./downloader');
 const YouTubeUploader = require('./uploader');
+const JobQueue = require('./queue');
+const UploadWorker = require('./worker');
+const ProgressReporter = require('./progress');
+const BatchReporter = require('./batchprogress');
+const SessionStore = require('./sessions');
+const UploadHistory = require('./history');
+const UserSettings = require('./settings');
+const PresetStore = require('./presets');
+const { isCaptionFile, isValidLanguage, guessLanguage, validateCaptions } = require('./captions');
+const { parseCaption, hasDirectives, titleFromFileName, validateTitle, validateDescription, validateTags, validateExpanded } = require('./metadata');
+const { parseSchedule, formatInZone, isValidTimeZone } = require('./schedule');
+const urlPolicy = require('./urlpolicy');
 const fs = require('fs-extra');
+const crypto = require('crypto');
 const path = require('path');
 
+// Metadata steps of the upload wizard, asked in this order
+const PRIVACY_OPTIONS = ['private', 'unlisted', 'public'];
+
+const WIZARD_STEPS = ['title', 'description', 'category', 'privacy', 'tags', 'advanced', 'thumbnail', 'captions', 'playlists'];
+
+// Preset fields and the wizard step each one answers
+const PRESET_STEPS = {
+  description: 'description',
+  categoryId: 'category',
+  privacyStatus: 'privacy',
+  tags: 'tags',
+  playlists: 'playlists'
+};
+
+// Yes/no options on the advanced settings screen, with YouTube's defaults
+const ADVANCED_TOGGLES = [
+  { field: 'madeForKids', label: '👶 Made for kids', defaultValue: false },
+  { field: 'embeddable', label: '🔗 Embeddable', defaultValue: true },
+  { field: 'publicStatsViewable', label: '📊 Public stats', defaultValue: true },
+  { field: 'notifySubscribers', label: '🔔 Notify subscribers', defaultValue: true }
+];
+
+// Advanced settings entered as text
+const ADVANCED_INPUTS = {
+  defaultLanguage: {
+    label: '🌐 Language',
+    prompt: 'Send the language of the title and description (e.g. en, es, pt-BR), or "clear".'
+  },
+  defaultAudioLanguage: {
+    label: '🔊 Audio language',
+    prompt: 'Send the language spoken in the video (e.g. en, es, pt-BR), or "clear".'
+  },
+  recording: {
+    label: '📍 Recorded',
+    prompt: 'Send the recording date and/or location as latitude,longitude, ' +
+      'e.g. "2026-10-01", "52.52,13.40" or "2026-10-01 52.52,13.40". Or "clear".'
+  }
+};
+
+const UPLOAD_FIRST_MESSAGE = 'Please use /upload first to start the upload process, ' +
+  'or send the video with its details in the caption (see /help).';
+
+// How long to wait for more items of a Telegram album
+const MEDIA_GROUP_WAIT = 1500;
+
+// Inline keyboards get unwieldy beyond this many playlists
+const MAX_PLAYLIST_BUTTONS = 30;
+
 class YouTubeUploaderBot {
   constructor() {
-    this.bot = new Telegraf(config.telegram.token);
+    this.bot = new Telegraf(config.telegram.token, {
+      telegram: { apiRoot: config.telegram.apiRoot }
+    });
     this.downloader = new FileDownloader();
     this.uploader = new YouTubeUploader();
-    this.userSessions = new Map();
+    this.queue = new JobQueue();
+    this.history = new UploadHistory();
+    this.settings = new UserSettings();
+    this.presets = new PresetStore();
+    this.worker = new UploadWorker({
+      queue: this.queue,
+      history: this.history,
+      downloader: this.downloader,
+      uploader: this.uploader,
+      telegram: this.bot.telegram
+    });
+    this.userSessions = new SessionStore();
+    this.progressReporters = new Map();
+    this.batchReporters = new Map();
+    
+    // Albums being collected, "userId:mediaGroupId" -> { items, ctx, timer }
+    this.mediaGroups = new Map();
     
     this.setupMiddleware();
     this.setupCommands();
     this.setupHandlers();
     this.setupCallbacks();
+    this.setupWorkerEvents();
+    this.setupAuthEvents();
     
     console.log('🤖 YouTube Uploader Bot initialized');
   }
 
   setupMiddleware() {
-    // Session middleware
-    this.bot.use(session({
-      defaultSession: () => ({
-        step: 'idle',
-        videoInfo: {},
-        filePath: null,
-        authStep: null,
-        lastActivity: Date.now()
-      })
-    }));
-
+    // A handler that throws (e.g. a reply Telegram rejects) must not stop
+    // the bot for everyone else
+    this.bot.catch(async (error, ctx) => {
+      console.error(`❌ Error handling ${ctx.updateType} update:`, error);
+      try {
+        await ctx.reply('❌ Something went wrong. Please try again.');
+      } catch (replyError) {
+        // Nothing more we can do
+      }
+    });
+    
     // User authorization middleware
     this.bot.use(async (ctx, next) => {
+      if (!ctx.from) return next();
+      
       const userId = ctx.from.id;
       const username = ctx.from.username || 'Unknown';
       
       console.log(`👤 User: ${username} (${userId}) - Command: ${ctx.message?.text || 'Media'}`);
       
+      // Load the user's session from storage (or start a fresh one)
+      const session = await this.userSessions.load(userId);
+      
       // Check if user is admin
-      const isAdmin = config.telegram.adminIds.includes(userId);
-      
-      // Initialize user session if not exists
-      if (!this.userSessions.has(userId)) {
-        this.userSessions.set(userId, {
-          step: 'idle',
-          videoInfo: {},
-          filePath: null,
-          authStep: null,
-          lastActivity: Date.now(),
-          isAdmin: isAdmin
-        });
-      }
+      session.isAdmin = config.telegram.adminIds.includes(userId);
       
       // Update last activity
-      const session = this.userSessions.get(userId);
       session.lastActivity = Date.now();
       
-      await next();
+      try {
+        await next();
+      } finally {
+        await this.userSessions.save(userId);
+      }
     });
   }
 
@@ -76,15 +153,21 @@ Welcome! I can help you upload videos to YouTube directly from Telegram.
 3. Or use /upload to start the process
 
 🔗 *Supported sources:*
-• Video files (up to 50MB)
-• Google Drive links
-• Direct video URLs
+• Video files (up to ${this.telegramFileLimit() / 1024 / 1024}MB)
+• Google Drive links (files or folders)
+• Dropbox and OneDrive share links
+• Direct video URLs and HLS (.m3u8) streams
 
 ⚡ *Commands:*
 /auth - Connect YouTube account
 /upload - Upload video
 /status - Check upload status
 /channel - Your YouTube channel
+/playlists - Your playlists
+/captions - Add subtitles to a video
+/preset - Saved upload defaults
+/scheduled - Videos waiting to go public
+/timezone - Set your timezone for scheduling
 /logout - Disconnect account
 /help - Help guide
 /cancel - Cancel operation
@@ -138,8 +221,9 @@ To upload videos, I need access to your YouTube account.
 1. Click the button below
 2. Sign in with your Google account
 3. Grant the requested permissions
-4. You'll get an authorization code
-5. Send that code back to me
+4. I'll confirm here once your channel is connected
+
+If the page shows an authorization code instead, send that code back to me.
 
 ⚠️ *Important:* 
 • Only grant access to accounts you own
@@ -154,9 +238,8 @@ To upload videos, I need access to your YouTube account.
         ])
       });
       
-      // Set auth step
+      // Keep accepting a pasted code as a fallback
       session.authStep = 'awaiting_code';
-      await ctx.reply('After authorizing, please send me the authorization code you receive:');
     });
 
     // ========== UPLOAD COMMAND ==========
@@ -178,20 +261,26 @@ To upload videos, I need access to your YouTube account.
 📤 *Upload Video to YouTube*
 
 You can send me:
-• A video file (up to 50MB)
-• A Google Drive link
-• A direct video URL
+• A video file (up to ${this.telegramFileLimit() / 1024 / 1024}MB)
+• A Google Drive link (file or folder)
+• A Dropbox or OneDrive share link
+• A direct video URL or HLS (.m3u8) stream
 
 *Supported formats:* MP4, MKV, AVI, MOV, WMV
-*Max size:* 50MB
+*Max size:* ${config.files.maxSize / 1024 / 1024}MB
 
 📝 *Or use the button below for step-by-step upload*
       `;
       
+      const presetButtons = Object.keys(await this.presets.list(userId)).map(name =>
+        [Markup.button.callback(`⚙️ Use preset: ${name}`, `preset_pick:${name}`)]
+      );
+      
       await ctx.reply(uploadMsg, {
         parse_mode: 'Markdown',
         ...Markup.inlineKeyboard([
           [Markup.button.callback('📝 Step-by-step Upload', 'manual_upload')],
+          ...presetButtons,
           [Markup.button.callback('❌ Cancel', 'cancel')]
         ])
       });
@@ -204,17 +293,14 @@ You can send me:
       const userId = ctx.from.id;
       const session = this.userSessions.get(userId) || {};
       
-      let statusMsg = `📊 *Current Status*\n\n`;
+      let statusMsg = `📊 Current Status\n\n`;
       
       switch(session.step) {
         case 'idle':
           statusMsg += '✅ Ready for upload';
           break;
-        case 'downloading':
-          statusMsg += `📥 Downloading: ${session.downloadProgress || 0}%`;
-          break;
-        case 'uploading':
-          statusMsg += `📤 Uploading to YouTube: ${session.uploadProgress || 0}%`;
+        case 'awaiting_video':
+          statusMsg += '📥 Waiting for video file or link';
           break;
         case 'awaiting_title':
           statusMsg += '📝 Waiting for video title';
@@ -225,18 +311,53 @@ You can send me:
         case 'awaiting_privacy':
           statusMsg += '🔒 Waiting for privacy setting';
           break;
+        case 'awaiting_schedule':
+          statusMsg += '📅 Waiting for publish time';
+          break;
+        case 'awaiting_playlists':
+          statusMsg += '📂 Waiting for playlist selection';
+          break;
+        case 'awaiting_playlist_name':
+          statusMsg += '📂 Waiting for new playlist name';
+          break;
         case 'awaiting_tags':
           statusMsg += '🏷️ Waiting for tags';
           break;
+        case 'awaiting_category':
+          statusMsg += '🗂 Waiting for category';
+          break;
+        case 'awaiting_advanced':
+        case 'awaiting_advanced_input':
+          statusMsg += '⚙️ Editing advanced settings';
+          break;
+        case 'awaiting_confirmation':
+          statusMsg += '📋 Waiting for you to confirm the upload';
+          break;
+        case 'awaiting_thumbnail':
+          statusMsg += '🖼 Waiting for thumbnail';
+          break;
+        case 'awaiting_captions':
+        case 'awaiting_caption_language':
+        case 'awaiting_caption_name':
+          statusMsg += '💬 Waiting for subtitles';
+          break;
         default:
           statusMsg += `Current step: ${session.step || 'idle'}`;
       }
       
+      // Add upload queue status
+      const jobs = this.queue.getUserJobs(userId).slice(0, 5);
+      if (jobs.length > 0) {
+        statusMsg += `\n\nUploads:\n`;
+        statusMsg += jobs.map(job => this.formatJobStatus(job)).join('\n');
+      }
+      
       // Add auth status
       const isAuth = await this.uploader.checkAuth(userId);
       statusMsg += `\n🔐 Auth: ${isAuth ? '✅ Connected' : '❌ Not connected'}`;
       
-      await ctx.reply(statusMsg, { parse_mode: 'Markdown' });
+      // Plain text: titles and errors may contain Markdown characters
+      await ctx.reply(statusMsg);
     });
 
     // ========== CHANNEL COMMAND ==========
@@ -268,12 +389,186 @@ ${channel.snippet.description?.substring(0, 300) || 'No description'}...
       await ctx.reply(channelMsg, { parse_mode: 'Markdown' });
     });
 
+    // ========== PLAYLISTS COMMAND ==========
+    this.bot.command('playlists', async (ctx) => {
+      const userId = ctx.from.id;
+      
+      const isAuth = await this.uploader.checkAuth(userId);
+      if (!isAuth) {
+        return ctx.reply('❌ Please authenticate first with /auth');
+      }
+      
+      // "/playlists new <title>" creates one straight away
+      const args = ctx.message.text.split(/\s+/).slice(1);
+      if (args[0] === 'new' && args.length > 1) {
+        return this.createPlaylist(ctx, userId, args.slice(1).join(' '));
+      }
+      
+      const result = await this.uploader.listPlaylists(userId);
+      if (!result.success) {
+        return ctx.reply(`❌ Could not fetch playlists: ${result.error}`);
+      }
+      
+      const lines = result.playlists.map(playlist =>
+        `• ${playlist.title} — ${playlist.itemCount} video(s), ${playlist.privacyStatus}`
+      );
+      
+      await ctx.reply(
+        lines.length > 0
+          ? `📂 Your playlists (${lines.length}):\n\n${lines.join('\n')}`
+          : '📂 Your channel has no playlists yet.',
+        Markup.inlineKeyboard([
+          [Markup.button.callback('➕ Create playlist', 'pl_new')]
+        ])
+      );
+    });
+
+    // ========== CAPTIONS COMMAND ==========
+    this.bot.command('captions', async (ctx) => {
+      const userId = ctx.from.id;
+      const session = this.userSessions.get(userId);
+      
+      const videoId = this.extractVideoId(ctx.message.text.split(/\s+/)[1] || '');
+      if (!videoId) {
+        return ctx.reply('Usage: /captions <YouTube video ID or link>');
+      }
+      
+      if (session.step !== 'idle') {
+        return ctx.reply('❌ Finish the current upload or /cancel it first.');
+      }
+      
+      const isAuth = await this.uploader.checkAuth(userId);
+      if (!isAuth) {
+        return ctx.reply('❌ Please authenticate first with /auth');
+      }
+      
+      session.captionTarget = videoId;
+      session.step = 'awaiting_captions';
+      await this.promptStep(ctx, 'captions', userId);
+    });
+
+    // ========== PRESET COMMAND ==========
+    this.bot.command('preset', async (ctx) => {
+      const userId = ctx.from.id;
+      const session = this.userSessions.get(userId);
+      const [action, name] = ctx.message.text.split(/\s+/).slice(1);
+      
+      if (['save', 'use', 'delete'].includes(action) && !name) {
+        return ctx.reply(`Usage: /preset ${action} <name>`);
+      }
+      
+      switch (action) {
+        case 'save': {
+          if (!this.presets.isValidName(name)) {
+            return ctx.reply('❌ Preset names can use letters, digits, "-" and "_" (up to 32 characters).');
+          }
+          
+          // The upload in progress, otherwise the most recent queued one
+          const videoInfo = session.step !== 'idle' && Object.keys(session.videoInfo).length > 0
+            ? session.videoInfo
+            : this.queue.getUserJobs(userId)[0]?.videoInfo;
+          
+          const preset = this.presets.fromVideoInfo(videoInfo || {});
+          if (Object.keys(preset).length === 0) {
+            return ctx.reply('❌ Nothing to save yet. Upload a video first, then save its settings as a preset.');
+          }
+          
+          await this.presets.save(userId, name, preset);
+          return this.replyWithPreset(ctx, await this.presets.get(userId, name), '💾 Preset saved');
+        }
+        
+        case 'use':
+          return this.applyPreset(ctx, userId, name);
+        
+        case 'delete': {
+          const deleted = await this.presets.delete(userId, name);
+          if (!deleted) {
+            return ctx.reply(`❌ No preset named "${name}".`);
+          }
+          if (session.preset?.name === name.toLowerCase()) {
+            session.preset = null;
+          }
+          return ctx.reply(`🗑 Preset "${name}" deleted.`);
+        }
+        
+        case 'list':
+        case undefined: {
+          const presets = Object.values(await this.presets.list(userId));
+          if (presets.length === 0) {
+            return ctx.reply(
+              '⚙️ You have no presets yet.\n\n' +
+              'After an upload, use /preset save <name> to keep its description, tags, privacy and playlists.'
+            );
+          }
+          
+          const blocks = presets.map(preset => `⚙️ ${preset.name}\n${this.describePreset(preset)}`);
+          return ctx.reply(`Your presets:\n\n${blocks.join('\n\n')}\n\nUse /preset use <name> before sending a video.`);
+        }
+        
+        default:
+          return ctx.reply('Usage: /preset save|use|delete <name>, or /preset list');
+      }
+    });
+
+    // ========== SCHEDULED COMMAND ==========
+    this.bot.command('scheduled', async (ctx) => {
+      const userId = ctx.from.id;
+      const { timezone } = await this.settings.get(userId);
+      const now = new Date();
+      
+      // Uploaded and waiting for YouTube to publish, or still in the queue
+      const uploaded = (await this.history.list(userId))
+        .filter(entry => entry.publishAt && new Date(entry.publishAt) > now);
+      const queued = this.queue.getUserJobs(userId)
+        .filter(job => this.queue.isActive(job) && job.videoInfo.publishAt);
+      
+      const items = [
+        ...uploaded.map(entry => ({ title: entry.title, publishAt: entry.publishAt, note: entry.videoUrl })),
+        ...queued.map(job => ({ title: job.videoInfo.title, publishAt: job.videoInfo.publishAt, note: `not uploaded yet (${job.state})` }))
+      ].sort((a, b) => a.publishAt.localeCompare(b.publishAt));
+      
+      if (items.length === 0) {
+        return ctx.reply('📅 No scheduled videos. Pick "Schedule" as the privacy setting when uploading.');
+      }
+      
+      const lines = items.map(item =>
+        `📹 ${item.title}\n📅 ${formatInZone(new Date(item.publishAt), timezone)}\n🔗 ${item.note}`
+      );
+      
+      await ctx.reply(
+        `📅 Scheduled videos (${timezone}):\n\n${lines.join('\n\n')}`,
+        { disable_web_page_preview: true }
+      );
+    });
+
+    // ========== TIMEZONE COMMAND ==========
+    this.bot.command('timezone', async (ctx) => {
+      const userId = ctx.from.id;
+      const zone = ctx.message.text.split(/\s+/)[1];
+      
+      if (!zone) {
+        const { timezone } = await this.settings.get(userId);
+        return ctx.reply(
+          `🕒 Your timezone: ${timezone}\n\n` +
+          `Change it with /timezone followed by an IANA name, for example:\n` +
+          `/timezone Europe/Berlin\n/timezone America/New_York\n/timezone Asia/Kolkata`
+        );
+      }
+      
+      if (!isValidTimeZone(zone)) {
+        return ctx.reply(`❌ Unknown timezone: ${zone}\n\nUse an IANA name such as Europe/London.`);
+      }
+      
+      await this.settings.update(userId, { timezone: zone });
+      await ctx.reply(`✅ Timezone set to ${zone}. It's now ${formatInZone(new Date(), zone)} there.`);
+    });
+
     // ========== LOGOUT COMMAND ==========
     this.bot.command('logout', async (ctx) => {
       const userId = ctx.from.id;
       
       const deleted = await this.uploader.deleteTokens(userId);
-      this.userSessions.delete(userId);
+      await this.userSessions.delete(userId);
       
       if (deleted) {
         await ctx.reply('✅ Successfully logged out. Use /auth to authenticate again.');
@@ -294,13 +589,14 @@ ${channel.snippet.description?.substring(0, 300) || 'No description'}...
 4. Wait for upload completion
 
 *Supported Sources:*
-• Telegram video files (≤50MB)
-• Google Drive shareable links
-• Direct video URLs
+• Telegram video files (≤${this.telegramFileLimit() / 1024 / 1024}MB)
+• Google Drive shareable links (files or whole folders)
+• Dropbox and OneDrive/SharePoint share links
+• Direct video URLs and HLS (.m3u8) streams
 • Public video links
 
 *Video Requirements:*
-• Max size: 50MB
+• Max size: ${config.files.maxSize / 1024 / 1024}MB
 • Formats: MP4, MKV, AVI, MOV, WMV
 • Duration: Up to 15 minutes (YouTube limit)
 
@@ -308,6 +604,35 @@ ${channel.snippet.description?.substring(0, 300) || 'No description'}...
 • Private (only you can see)
 • Unlisted (anyone with link)
 • Public (everyone can see)
+• Schedule (private until a time you choose, see /timezone)
+
+*One-Step Upload:*
+Send a video (or a link) with a caption like:
+\`\`\`
+My video title
+Description lines
+#tag1 #tag2
+privacy: unlisted
+category: Gaming
+playlist: Season 2
+schedule: tomorrow 18:00
+\`\`\`
+No /upload needed, I'll show what I understood before uploading. After /upload or /preset use, a caption counts only if it has a line like privacy: or preset:.
+
+*Batch Uploads:*
+• Send an album of videos, or several links in one message
+• Use {n} in the title for each video's number, e.g. "Episode {n}"
+• Type "skip" as the title, or use {file} in it, to name videos after their files
+
+*Subtitles:*
+• Send .srt or .vtt files during an upload
+• /captions <video link> - Add them to a video already on YouTube
+
+*Presets:*
+• /preset save <name> - Keep the settings of your last upload
+• /preset use <name> - Apply them to the next upload
+• /preset list, /preset delete <name>
+Use {title} in a preset description to insert the video title
 
 *Need Help?*
 Use /cancel to stop any operation
@@ -321,18 +646,7 @@ Use /cancel to stop any operation
       const userId = ctx.from.id;
       const session = this.userSessions.get(userId);
       
-      if (session && session.filePath) {
-        await this.downloader.cleanup(session.filePath);
-      }
-      
-      this.userSessions.set(userId, {
-        step: 'idle',
-        videoInfo: {},
-        filePath: null,
-        authStep: null,
-        lastActivity: Date.now(),
-        isAdmin: session?.isAdmin || false
-      });
+      this.userSessions.set(userId, this.userSessions.createSession(session?.isAdmin || false));
       
       await ctx.reply('✅ Operation cancelled.');
     });
@@ -348,6 +662,7 @@ Use /cancel to stop any operation
       
       const users = await this.uploader.getAllUsers();
       const totalUsers = users.length;
+      const totalUploads = await this.history.count();
       
       const adminMsg = `
 👑 *Admin Panel*
@@ -355,6 +670,8 @@ Use /cancel to stop any operation
 *Bot Stats:*
 • Total users: ${totalUsers}
 • Active sessions: ${this.userSessions.size}
+• Queued uploads: ${this.queue.getPending().length}
+• Videos uploaded: ${totalUploads}
 • Storage: Checking...
 
 *Commands:*
@@ -376,10 +693,32 @@ Use /cancel to stop any operation
     // Handle documents (video files sent as document)
     this.bot.on('document', async (ctx) => {
       const doc = ctx.message.document;
+      const session = this.userSessions.get(ctx.from.id);
       
       // Check if it's a video
       if (doc.mime_type && doc.mime_type.startsWith('video/')) {
         await this.handleVideoFile(ctx, doc, 'document');
+      } else if (session?.step === 'awaiting_thumbnail' && doc.mime_type?.startsWith('image/')) {
+        await this.handleThumbnail(ctx, doc, 'document');
+      } else if (isCaptionFile(doc.file_name)) {
+        if (session?.step === 'awaiting_captions') {
+          await this.handleCaptionFile(ctx, doc);
+        } else {
+          await ctx.reply('💬 To add subtitles, send them during an upload or use /captions <video link>.');
+        }
+      } else {
+        await ctx.reply('❌ Please send a video file. Supported formats: MP4, MKV, AVI, MOV, WMV');
+      }
+    });
+
+    // Handle photos (custom thumbnails)
+    this.bot.on('photo', async (ctx) => {
+      const session = this.userSessions.get(ctx.from.id);
+      
+      if (session?.step === 'awaiting_thumbnail') {
+        // Telegram sends several sizes, the last one is the largest
+        const photos = ctx.message.photo;
+        await this.handleThumbnail(ctx, photos[photos.length - 1], 'photo');
       } else {
         await ctx.reply('❌ Please send a video file. Supported formats: MP4, MKV, AVI, MOV, WMV');
       }
@@ -405,13 +744,55 @@ Use /cancel to stop any operation
         case 'awaiting_description':
           await this.handleDescription(ctx, text, userId);
           break;
+        case 'awaiting_schedule':
+          await this.handleSchedule(ctx, text, userId);
+          break;
         case 'awaiting_tags':
           await this.handleTags(ctx, text, userId);
           break;
+        case 'awaiting_playlist_name':
+          await this.handlePlaylistName(ctx, text, userId);
+          break;
+        case 'awaiting_category':
+          await ctx.reply('🗂 Please pick a category from the buttons above.');
+          break;
+        case 'awaiting_advanced':
+          await ctx.reply('⚙️ Use the buttons above, then press Continue.');
+          break;
+        case 'awaiting_advanced_input':
+          await this.handleAdvancedInput(ctx, text, userId);
+          break;
+        case 'awaiting_captions':
+          if (['skip', 'done'].includes(text.toLowerCase())) {
+            await this.finishCaptions(ctx, userId);
+          } else {
+            await ctx.reply('💬 Please send a .srt or .vtt file, or type "done".');
+          }
+          break;
+        case 'awaiting_caption_language':
+          await this.setCaptionLanguage(ctx, userId, text);
+          break;
+        case 'awaiting_caption_name':
+          await this.handleCaptionName(ctx, text, userId);
+          break;
+        case 'awaiting_thumbnail':
+          if (text.toLowerCase() === 'skip') {
+            await this.advanceWizard(ctx, userId, 'thumbnail');
+          } else {
+            await ctx.reply('🖼 Please send an image for the thumbnail, or type "skip".');
+          }
+          break;
         default:
           // Check if it's a URL
-          if (this.isValidUrl(text)) {
-            await this.handleUrl(ctx, text, userId);
+          const urls = (text.match(/https?:\/\/\S+/g) || []).filter(url => this.isValidUrl(url));
+          const caption = text.replace(/https?:\/\/\S+/g, '').trim();
+          
+          // Links with details around them are a one-shot upload
+          if (urls.length > 0 && this.isOneShot(session, caption)) {
+            const { sources, rejected } = await this.urlSources(ctx, urls);
+            await this.handleOneShot(ctx, userId, sources, caption, rejected);
+          } else if (urls.length > 0) {
+            await this.handleUrls(ctx, urls, userId);
           } else if (!session || session.step === 'idle') {
             await ctx.reply(
               'Send me a video file or link to upload.\n' +
@@ -473,6 +854,139 @@ Use /cancel to stop any operation
       await ctx.editMessageText('Operation cancelled.');
     });
 
+    // One-shot confirmation card
+    this.bot.action('oneshot_confirm', async (ctx) => {
+      await ctx.answerCbQuery();
+      const userId = ctx.from.id;
+      const session = this.userSessions.get(userId);
+      if (session?.step !== 'awaiting_confirmation') return;
+      
+      await ctx.editMessageReplyMarkup(undefined);
+      await this.enqueueUpload(ctx, userId);
+    });
+
+    this.bot.action('oneshot_cancel', async (ctx) => {
+      await ctx.answerCbQuery();
+      const session = this.userSessions.get(ctx.from.id);
+      if (session?.step !== 'awaiting_confirmation') return;
+      
+      session.step = 'idle';
+      session.videoInfo = {};
+      session.source = null;
+      session.batch = null;
+      session.preset = null;
+      await ctx.editMessageText('Upload cancelled.');
+    });
+
+    // Presets
+    this.bot.action(/^preset_pick:(.+)$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      await this.applyPreset(ctx, ctx.from.id, ctx.match[1]);
+    });
+
+    this.bot.action(/^preset_adv:(.+)$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      const userId = ctx.from.id;
+      const session = this.userSessions.get(userId);
+      
+      if (session.step !== 'idle') {
+        return ctx.reply('❌ Finish the current upload or /cancel it before editing a preset.');
+      }
+      
+      const preset = await this.presets.get(userId, ctx.match[1]);
+      if (!preset) return;
+      
+      session.advancedPreset = preset.name;
+      session.step = 'awaiting_advanced';
+      await ctx.reply(`⚙️ Advanced settings for preset "${preset.name}"`, this.advancedKeyboard(preset));
+    });
+
+    // Advanced settings, for the wizard or a preset
+    this.bot.action('adv_open', async (ctx) => {
+      await ctx.answerCbQuery();
+      const session = this.userSessions.get(ctx.from.id);
+      if (session?.step !== 'awaiting_advanced') return;
+      
+      await ctx.editMessageText('⚙️ Advanced settings', this.advancedKeyboard(session.videoInfo));
+    });
+
+    this.bot.action(/^adv_toggle:(\w+)$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      const userId = ctx.from.id;
+      const session = this.userSessions.get(userId);
+      if (session?.step !== 'awaiting_advanced') return;
+      
+      const toggle = ADVANCED_TOGGLES.find(option => option.field === ctx.match[1]);
+      if (!toggle) return;
+      
+      const current = await this.getAdvancedTarget(userId);
+      const updated = await this.updateAdvancedTarget(userId, {
+        [toggle.field]: !(current[toggle.field] ?? toggle.defaultValue)
+      });
+      await ctx.editMessageReplyMarkup(this.advancedKeyboard(updated).reply_markup);
+    });
+
+    this.bot.action('adv_license', async (ctx) => {
+      await ctx.answerCbQuery();
+      const userId = ctx.from.id;
+      const session = this.userSessions.get(userId);
+      if (session?.step !== 'awaiting_advanced') return;
+      
+      const current = await this.getAdvancedTarget(userId);
+      const updated = await this.updateAdvancedTarget(userId, {
+        license: current.license === 'creativeCommon' ? 'youtube' : 'creativeCommon'
+      });
+      await ctx.editMessageReplyMarkup(this.advancedKeyboard(updated).reply_markup);
+    });
+
+    this.bot.action(/^adv_input:(\w+)$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      const session = this.userSessions.get(ctx.from.id);
+      if (session?.step !== 'awaiting_advanced' || !ADVANCED_INPUTS[ctx.match[1]]) return;
+      
+      session.step = 'awaiting_advanced_input';
+      session.advancedInput = ctx.match[1];
+      await ctx.editMessageText(ADVANCED_INPUTS[ctx.match[1]].prompt);
+    });
+
+    this.bot.action('adv_done', async (ctx) => {
+      await ctx.answerCbQuery();
+      const userId = ctx.from.id;
+      const session = this.userSessions.get(userId);
+      if (session?.step !== 'awaiting_advanced') return;
+      
+      const target = await this.getAdvancedTarget(userId);
+      const summary = this.describeAdvanced(target);
+      await ctx.editMessageText(summary.length > 0
+        ? `⚙️ Advanced settings:\n${summary.join('\n')}`
+        : '⚙️ Using YouTube\'s default settings.');
+      
+      if (session.advancedPreset) {
+        delete session.advancedPreset;
+        session.step = 'idle';
+        return;
+      }
+      await this.advanceWizard(ctx, userId, 'advanced');
+    });
+
+    // Category step
+    this.bot.action(/^cat:(\d+)$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      const userId = ctx.from.id;
+      const session = this.userSessions.get(userId);
+      if (session?.step !== 'awaiting_category') return;
+      
+      const category = session.categoryChoices?.find(choice => choice.id === ctx.match[1]);
+      if (!category) return;
+      
+      session.videoInfo.categoryId = category.id;
+      delete session.categoryChoices;
+      await this.settings.update(userId, { categoryId: category.id });
+      
+      await ctx.editMessageText(`🗂 Category: ${category.title}`);
+      await this.advanceWizard(ctx, userId, 'category');
+    });
+
     // Privacy options
     this.bot.action('privacy_private', async (ctx) => {
       await ctx.answerCbQuery();
@@ -488,275 +1002,1519 @@ Use /cancel to stop any operation
       await ctx.answerCbQuery();
       await this.setPrivacy(ctx, 'public');
     });
-  }
 
-  async handleVideoFile(ctx, file, type) {
-    const userId = ctx.from.id;
-    const session = this.userSessions.get(userId);
-    
-    if (!session || session.step !== 'awaiting_video') {
-      return ctx.reply('Please use /upload first to start the upload process.');
-    }
-    
-    // Check authentication
-    const isAuth = await this.uploader.checkAuth(userId);
-    if (!isAuth) {
-      return ctx.reply('❌ Please authenticate first using /auth command.');
-    }
-    
-    // Check file size
-    if (file.file_size > config.files.maxSize) {
-      return ctx.reply(
-        `❌ File too large!\n\n` +
-        `Size: ${(file.file_size / 1024 / 1024).toFixed(2)}MB\n` +
-        `Max allowed: ${config.files.maxSize / 1024 / 1024}MB`
-      );
-    }
-    
-    // Get file extension
-    let fileName = type === 'video' ? 
-      `video_${file.file_id}.mp4` : 
-      file.file_name || `file_${file.file_id}`;
-    
-    const extension = this.downloader.getFileExtension(fileName);
-    if (!this.downloader.isValidExtension(extension)) {
-      return ctx.reply(
-        `❌ Unsupported file format: ${extension}\n\n` +
-        `Supported formats: ${config.files.allowedExtensions.join(', ')}`
-      );
-    }
-    
-    // Start download
-    await ctx.reply('📥 Downloading video from Telegram...');
-    
-    try {
-      const fileLink = await ctx.telegram.getFileLink(file.file_id);
+    // Scheduled publishing
+    this.bot.action('privacy_schedule', async (ctx) => {
+      await ctx.answerCbQuery();
+      const userId = ctx.from.id;
+      const session = this.userSessions.get(userId);
+      if (session?.step !== 'awaiting_privacy') return;
+      const { timezone } = await this.settings.get(userId);
       
-      session.step = 'downloading';
-      session.downloadProgress = 0;
+      session.step = 'awaiting_schedule';
       
-      const result = await this.downloader.downloadTelegramFile(
-        fileLink.href,
-        fileName,
-        (progress) => {
-          session.downloadProgress = progress;
-        }
+      // Plain text: zone names like America/New_York break Markdown
+      await ctx.editMessageText(
+        `📅 When should the video go public?\n\n` +
+        `Times are in ${timezone} (change with /timezone).\n\n` +
+        `Examples:\n` +
+        `• 2026-11-02 18:00\n` +
+        `• tomorrow 9am\n` +
+        `• friday 18:00\n` +
+        `• in 3 hours`
       );
+    });
+
+    this.bot.action('schedule_confirm', async (ctx) => {
+      await ctx.answerCbQuery();
+      const userId = ctx.from.id;
+      const session = this.userSessions.get(userId);
+      if (session?.step !== 'awaiting_schedule' || !session.pendingPublishAt) return;
       
-      if (!result.success) {
-        session.step = 'idle';
-        return ctx.reply(`❌ Download failed: ${result.error}`);
-      }
-      
-      session.filePath = result.filePath;
-      session.videoInfo = {
-        mimeType: result.mimeType,
-        size: result.size
-      };
-      session.step = 'awaiting_title';
+      const { timezone } = await this.settings.get(userId);
+      session.videoInfo.privacyStatus = 'private';
+      session.videoInfo.publishAt = session.pendingPublishAt;
+      delete session.pendingPublishAt;
       
-      await ctx.reply(
-        `✅ Video downloaded successfully!\n\n` +
-        `Size: ${(result.size / 1024 / 1024).toFixed(2)}MB\n\n` +
-        `Now, please send me the *video title*:`,
-        { parse_mode: 'Markdown' }
+      await ctx.editMessageText(
+        `📅 Scheduled. The video stays private until ` +
+        `${formatInZone(new Date(session.videoInfo.publishAt), timezone)} (${timezone}).`
       );
-      
-    } catch (error) {
-      session.step = 'idle';
-      await ctx.reply(`❌ Error: ${error.message}`);
+      await this.advanceWizard(ctx, userId, 'privacy');
+    });
+
+    this.bot.action('schedule_change', async (ctx) => {
+      await ctx.answerCbQuery();
+      const session = this.userSessions.get(ctx.from.id);
+      if (session?.step !== 'awaiting_schedule') return;
+      
+      delete session.pendingPublishAt;
+      await ctx.editMessageText('📅 OK, send me another date and time:');
+    });
+
+    // Playlist step
+    this.bot.action(/^pl_toggle:(.+)$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      const session = this.userSessions.get(ctx.from.id);
+      if (session?.step !== 'awaiting_playlists') return;
+      
+      const playlist = session.playlistChoices.find(choice => choice.id === ctx.match[1]);
+      if (!playlist) return;
+      
+      const selected = session.videoInfo.playlists;
+      const index = selected.findIndex(choice => choice.id === playlist.id);
+      if (index >= 0) {
+        selected.splice(index, 1);
+      } else {
+        selected.push(playlist);
+      }
+      
+      await ctx.editMessageReplyMarkup(this.playlistKeyboard(session).reply_markup);
+    });
+
+    this.bot.action('pl_done', async (ctx) => {
+      await ctx.answerCbQuery();
+      const userId = ctx.from.id;
+      const session = this.userSessions.get(userId);
+      if (session?.step !== 'awaiting_playlists') return;
+      
+      const titles = session.videoInfo.playlists.map(playlist => playlist.title);
+      delete session.playlistChoices;
+      
+      await ctx.editMessageText(titles.length > 0
+        ? `📂 Will be added to: ${titles.join(', ')}`
+        : '📂 Not adding to any playlist.');
+      await this.advanceWizard(ctx, userId, 'playlists');
+    });
+
+    // Used both from the wizard and from /playlists
+    this.bot.action('pl_new', async (ctx) => {
+      await ctx.answerCbQuery();
+      const session = this.userSessions.get(ctx.from.id);
+      if (!session) return;
+      
+      if (session.step !== 'awaiting_playlist_name') {
+        session.playlistReturnStep = session.step;
+      }
+      session.step = 'awaiting_playlist_name';
+      
+      await ctx.editMessageText('📂 Send me the name for the new playlist (it will be private):');
+    });
+
+    // Thumbnail step
+    this.bot.action('skip_thumbnail', async (ctx) => {
+      await ctx.answerCbQuery();
+      const userId = ctx.from.id;
+      const session = this.userSessions.get(userId);
+      if (session?.step !== 'awaiting_thumbnail') return;
+      
+      await ctx.editMessageText('🖼 No custom thumbnail, YouTube will pick one.');
+      await this.advanceWizard(ctx, userId, 'thumbnail');
+    });
+
+    // Subtitles
+    this.bot.action(/^cap_lang:(.+)$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      const userId = ctx.from.id;
+      const session = this.userSessions.get(userId);
+      if (session?.step !== 'awaiting_caption_language') return;
+      
+      await this.setCaptionLanguage(ctx, userId, ctx.match[1]);
+    });
+
+    this.bot.action('captions_done', async (ctx) => {
+      await ctx.answerCbQuery();
+      const userId = ctx.from.id;
+      const session = this.userSessions.get(userId);
+      if (session?.step !== 'awaiting_captions') return;
+      
+      await ctx.editMessageReplyMarkup(undefined);
+      await this.finishCaptions(ctx, userId);
+    });
+  }
+
+  async handleVideoFile(ctx, file, type) {
+    const userId = ctx.from.id;
+    const session = this.userSessions.get(userId);
+    
+    // Albums arrive as one message per item, gather them into a batch. Only
+    // one item carries the caption, so the step is checked for the album as
+    // a whole in handleMediaGroup.
+    if (ctx.message.media_group_id) {
+      return this.collectMediaGroup(ctx, file, type);
+    }
+    
+    // A captioned video carries its own details and needs no /upload
+    const caption = ctx.message.caption;
+    const oneShot = this.isOneShot(session, caption);
+    
+    if (!session || (session.step !== 'awaiting_video' && !oneShot)) {
+      return ctx.reply(UPLOAD_FIRST_MESSAGE);
+    }
+    
+    // Check authentication
+    const isAuth = await this.uploader.checkAuth(userId);
+    if (!isAuth) {
+      return ctx.reply('❌ Please authenticate first using /auth command.');
+    }
+    
+    const { source, error } = this.videoSource(file, type);
+    if (error) {
+      return ctx.reply(error);
+    }
+    
+    if (oneShot) {
+      return this.handleOneShot(ctx, userId, [source], caption);
+    }
+    
+    await ctx.reply(
+      `✅ Video received!\n\n` +
+      `Size: ${(file.file_size / 1024 / 1024).toFixed(2)}MB`
+    );
+    await this.startWizard(ctx, userId, [source]);
+  }
+
+  // Telegram files have to fit both our limit and the Bot API's
+  telegramFileLimit() {
+    return Math.min(config.files.maxSize, config.telegram.maxFileSize);
+  }
+
+  // The job source for a Telegram file, or an error message
+  videoSource(file, type) {
+    // Check file size
+    if (file.file_size > config.files.maxSize) {
+      return {
+        error: `❌ File too large!\n\n` +
+          `Size: ${(file.file_size / 1024 / 1024).toFixed(2)}MB\n` +
+          `Max allowed: ${config.files.maxSize / 1024 / 1024}MB`
+      };
+    }
+    if (file.file_size > this.telegramFileLimit()) {
+      return {
+        error: `❌ File too large for Telegram bots!\n\n` +
+          `Size: ${(file.file_size / 1024 / 1024).toFixed(2)}MB\n` +
+          `Bots can only download files up to ${this.telegramFileLimit() / 1024 / 1024}MB from Telegram. ` +
+          `Upload it to Google Drive or Dropbox and send me the link instead.`
+      };
+    }
+    
+    // Get file extension
+    let fileName = type === 'video' ? 
+      `video_${file.file_id}.mp4` : 
+      file.file_name || `file_${file.file_id}`;
+    
+    const extension = this.downloader.getFileExtension(fileName);
+    if (!this.downloader.isValidExtension(fileName)) {
+      return {
+        error: `❌ Unsupported file format: ${extension}\n\n` +
+          `Supported formats: ${config.files.allowedExtensions.join(', ')}`
+      };
+    }
+    
+    return {
+      source: {
+        type: 'telegram',
+        fileId: file.file_id,
+        fileName: fileName,
+        // Telegram videos only sometimes carry their name
+        originalName: file.file_name || null
+      }
+    };
+  }
+
+  // Telegram gives no signal for the end of an album, so wait until its
+  // items stop arriving
+  collectMediaGroup(ctx, file, type) {
+    const key = `${ctx.from.id}:${ctx.message.media_group_id}`;
+    
+    let group = this.mediaGroups.get(key);
+    if (!group) {
+      group = { items: [] };
+      this.mediaGroups.set(key, group);
+    }
+    group.items.push({ file, type });
+    group.ctx = ctx;
+    
+    // Telegram puts an album's caption on one of its items
+    if (ctx.message.caption) {
+      group.caption = ctx.message.caption;
+    }
+    
+    clearTimeout(group.timer);
+    group.timer = setTimeout(() => {
+      this.mediaGroups.delete(key);
+      this.handleMediaGroup(group.ctx, group.items, group.caption).catch((error) => {
+        console.error('❌ Error handling media group:', error);
+      });
+    }, MEDIA_GROUP_WAIT);
+  }
+
+  // Runs from a timer, outside the session middleware
+  async handleMediaGroup(ctx, items, caption) {
+    const userId = ctx.from.id;
+    const session = await this.userSessions.load(userId);
+    
+    try {
+      const oneShot = this.isOneShot(session, caption);
+      if (session.step !== 'awaiting_video' && !oneShot) {
+        return ctx.reply(UPLOAD_FIRST_MESSAGE);
+      }
+      
+      const isAuth = await this.uploader.checkAuth(userId);
+      if (!isAuth) {
+        return ctx.reply('❌ Please authenticate first using /auth command.');
+      }
+      
+      const sources = [];
+      const rejected = [];
+      items.forEach(({ file, type }, index) => {
+        const { source, error } = this.videoSource(file, type);
+        if (source) {
+          sources.push(source);
+        } else {
+          rejected.push(`Item ${index + 1}: ${error}`);
+        }
+      });
+      
+      if (oneShot) {
+        return await this.handleOneShot(ctx, userId, sources, caption, rejected);
+      }
+      await this.startBatch(ctx, userId, sources, rejected);
+    } finally {
+      await this.userSessions.save(userId);
+    }
+  }
+
+  async handleUrls(ctx, urls, userId) {
+    const session = this.userSessions.get(userId);
+    
+    if (!session || session.step !== 'awaiting_video') {
+      return ctx.reply('Please use /upload first to start the upload process.');
+    }
+    
+    // Check authentication
+    const isAuth = await this.uploader.checkAuth(userId);
+    if (!isAuth) {
+      return ctx.reply('❌ Please authenticate first using /auth command.');
+    }
+    
+    const { sources, rejected } = await this.urlSources(ctx, urls);
+    
+    if (sources.length !== 1 || rejected.length > 0) {
+      return this.startBatch(ctx, userId, sources, rejected);
+    }
+    
+    await ctx.reply('🔗 Link received!');
+    await this.startWizard(ctx, userId, sources);
+  }
+
+  // The actual download happens in the upload worker once the job is queued.
+  // Drive folder links are expanded into one source per video inside.
+  async urlSources(ctx, urls) {
+    const sources = [];
+    const rejected = [];
+    
+    for (const url of urls) {
+      // Problems that are known without fetching anything are reported now,
+      // not after the user has gone through the wizard
+      const problem = urlPolicy.checkUrl(url) || this.downloader.checkLink(url);
+      if (problem) {
+        rejected.push(`🔗 ${url}\n${problem}`);
+        continue;
+      }
+      
+      if (!this.downloader.isGoogleDriveFolder(url)) {
+        sources.push({ type: 'url', url: url });
+        continue;
+      }
+      
+      await ctx.reply('📂 Reading the Google Drive folder...');
+      const listing = await this.downloader.listGoogleDriveFolder(url);
+      
+      if (!listing.success) {
+        rejected.push(`📂 ${url}\n${listing.error}`);
+      } else if (listing.files.length === 0) {
+        rejected.push(`📂 ${url}\nNo video files in this folder (subfolders are not searched).`);
+      } else {
+        for (const file of listing.files) {
+          sources.push({
+            type: 'url',
+            url: `https://drive.google.com/file/d/${file.id}/view`,
+            originalName: file.name
+          });
+        }
+      }
+    }
+    
+    return { sources, rejected };
+  }
+
+  // Applies the batch size limit and tells the user what was left out
+  async acceptSources(ctx, sources, rejected) {
+    const maxItems = config.files.maxBatchSize;
+    if (sources.length > maxItems) {
+      rejected.push(`Only the first ${maxItems} videos of a batch are used.`);
+      sources = sources.slice(0, maxItems);
+    }
+    
+    if (rejected.length > 0) {
+      await ctx.reply(`⚠️ Skipped:\n\n${rejected.join('\n\n')}`);
+    }
+    if (sources.length === 0) {
+      await ctx.reply('❌ None of those videos can be uploaded.');
+    }
+    return sources;
+  }
+
+  async startBatch(ctx, userId, sources, rejected) {
+    sources = await this.acceptSources(ctx, sources, rejected);
+    if (sources.length === 0) return;
+    
+    await ctx.reply(sources.length > 1
+      ? `📦 ${sources.length} videos received! They share the details you enter next and upload one after another.`
+      : '✅ Video received!');
+    await this.startWizard(ctx, userId, sources);
+  }
+
+  // One source goes through the wizard on its own; several become a batch
+  // sharing one set of metadata
+  async startWizard(ctx, userId, sources) {
+    const session = this.userSessions.get(userId);
+    
+    session.source = sources.length === 1 ? sources[0] : null;
+    session.batch = sources.length > 1 ? sources : null;
+    session.videoInfo = this.presets.fromVideoInfo(session.preset || {});
+    session.thumbnail = null;
+    session.captions = [];
+    
+    await this.advanceWizard(ctx, userId);
+  }
+
+  // Outside the wizard any caption is a one-shot upload. Once /upload or a
+  // preset is waiting for a video, only a caption with directives is, so
+  // forwarded videos keep going through the wizard.
+  isOneShot(session, caption) {
+    if (!caption) return false;
+    const step = session?.step || 'idle';
+    return step === 'idle' || (step === 'awaiting_video' && hasDirectives(caption));
+  }
+
+  // Upload straight from a caption (or the text around links), after the
+  // user confirms what was understood
+  async handleOneShot(ctx, userId, sources, caption, rejected = []) {
+    const session = this.userSessions.get(userId);
+    
+    const isAuth = await this.uploader.checkAuth(userId);
+    if (!isAuth) {
+      return ctx.reply('❌ Please authenticate first using /auth command.');
+    }
+    
+    sources = await this.acceptSources(ctx, sources, rejected);
+    if (sources.length === 0) return;
+    
+    const { videoInfo, errors, card } = await this.resolveCaption(userId, parseCaption(caption), sources.length, session.preset);
+    if (errors.length === 0) {
+      const expanded = this.expandedError({ videoInfo, batch: sources.length > 1 ? sources : null, source: sources[0] });
+      if (expanded) errors.push(expanded);
+    }
+    if (errors.length > 0) {
+      return ctx.reply(
+        `❌ I couldn't use that caption:\n\n• ${errors.join('\n• ')}\n\n` +
+        `Fix it and send the video again, or use /upload for the step-by-step wizard.`
+      );
+    }
+    
+    session.source = sources.length === 1 ? sources[0] : null;
+    session.batch = sources.length > 1 ? sources : null;
+    session.videoInfo = videoInfo;
+    session.thumbnail = null;
+    session.captions = [];
+    session.step = 'awaiting_confirmation';
+    
+    const heading = sources.length > 1 ? `📋 Ready to upload ${sources.length} videos` : '📋 Ready to upload';
+    await ctx.reply(`${heading}\n\n${card.join('\n')}`, Markup.inlineKeyboard([
+      [
+        Markup.button.callback('✅ Upload', 'oneshot_confirm'),
+        Markup.button.callback('❌ Cancel', 'oneshot_cancel')
+      ]
+    ]));
+  }
+
+  // Turns parsed caption fields into videoInfo, looking up names the way
+  // the wizard would. The caption's fields override the picked preset, and
+  // a preset: line replaces it. Returns { videoInfo, errors, card } where
+  // card is the confirmation text, one line per setting.
+  async resolveCaption(userId, parsed, batchSize, picked = null) {
+    const errors = [];
+    const card = [];
+    let videoInfo = {};
+    
+    if (picked && !parsed.preset) {
+      videoInfo = this.presets.fromVideoInfo(picked);
+      card.push(`⚙️ Preset: ${picked.name}`);
+    }
+    
+    if (parsed.preset) {
+      const preset = await this.presets.get(userId, parsed.preset);
+      if (preset) {
+        videoInfo = this.presets.fromVideoInfo(preset);
+        card.push(`⚙️ Preset: ${preset.name}`);
+      } else {
+        errors.push(`No preset named "${parsed.preset}"`);
+      }
+    }
+    
+    if (!parsed.title) {
+      errors.push('The first line must be the title');
+    } else {
+      // Batch titles must tell the videos apart
+      const title = batchSize > 1 && !parsed.title.includes('{n}') ? `${parsed.title} {n}` : parsed.title;
+      const check = validateTitle(title, { batchSize: batchSize > 1 ? batchSize : null });
+      if (check.valid) {
+        videoInfo.title = check.value;
+      } else {
+        errors.push(check.error);
+      }
+    }
+    
+    for (const [field, validate] of [['description', validateDescription], ['tags', validateTags]]) {
+      if (parsed[field] === undefined) continue;
+      const check = validate(parsed[field]);
+      if (check.valid) {
+        videoInfo[field] = check.value;
+      } else {
+        errors.push(check.error);
+      }
+    }
+    
+    if (parsed.privacy !== undefined) {
+      if (PRIVACY_OPTIONS.includes(parsed.privacy)) {
+        videoInfo.privacyStatus = parsed.privacy;
+      } else {
+        errors.push(`Unknown privacy "${parsed.privacy}", use ${PRIVACY_OPTIONS.join(', ')}`);
+      }
+    }
+    
+    let categoryTitle = null;
+    if (parsed.category !== undefined) {
+      const result = await this.uploader.listCategories(userId);
+      const wanted = parsed.category.toLowerCase();
+      const category = result.success &&
+        result.categories.find(choice => choice.id === parsed.category || choice.title.toLowerCase() === wanted);
+      
+      if (!result.success) {
+        errors.push(`Could not load categories: ${result.error}`);
+      } else if (!category) {
+        errors.push(`Unknown category "${parsed.category}"`);
+      } else {
+        videoInfo.categoryId = category.id;
+        categoryTitle = category.title;
+      }
+    } else if (videoInfo.categoryId === undefined) {
+      const { categoryId } = await this.settings.get(userId);
+      if (categoryId) videoInfo.categoryId = categoryId;
+    }
+    
+    if (parsed.playlists !== undefined) {
+      const result = await this.uploader.listPlaylists(userId);
+      if (!result.success) {
+        errors.push(`Could not load playlists: ${result.error}`);
+      } else {
+        videoInfo.playlists = [];
+        for (const name of parsed.playlists) {
+          const playlist = result.playlists.find(choice =>
+            choice.id === name || choice.title.toLowerCase() === name.toLowerCase()
+          );
+          if (playlist) {
+            videoInfo.playlists.push({ id: playlist.id, title: playlist.title });
+          } else {
+            errors.push(`No playlist named "${name}" (create it with /playlists new ${name})`);
+          }
+        }
+      }
+    }
+    
+    let scheduleLine = null;
+    if (parsed.schedule !== undefined) {
+      const { timezone } = await this.settings.get(userId);
+      const publishAt = parseSchedule(parsed.schedule, timezone);
+      const minLead = config.scheduling.minLeadMinutes;
+      
+      if (!publishAt) {
+        errors.push(`I couldn't understand the schedule "${parsed.schedule}"`);
+      } else if (publishAt.getTime() < Date.now() + minLead * 60 * 1000) {
+        errors.push(`The schedule must be at least ${minLead} minutes from now`);
+      } else {
+        videoInfo.privacyStatus = 'private';
+        videoInfo.publishAt = publishAt.toISOString();
+        scheduleLine = `📅 Goes public: ${formatInZone(publishAt, timezone)} (${timezone})`;
+      }
+    }
+    
+    if (errors.length > 0) {
+      return { videoInfo, errors, card };
+    }
+    
+    card.push(`📹 Title: ${videoInfo.title}`);
+    if (videoInfo.description) {
+      const preview = videoInfo.description.length > 100
+        ? `${videoInfo.description.substring(0, 100)}…`
+        : videoInfo.description;
+      card.push(`📝 Description: ${preview}`);
+    }
+    if (videoInfo.tags) card.push(`🏷 Tags: ${videoInfo.tags}`);
+    if (categoryTitle) card.push(`🗂 Category: ${categoryTitle}`);
+    card.push(`🔒 Privacy: ${videoInfo.privacyStatus || 'private'}`);
+    if (scheduleLine) card.push(scheduleLine);
+    if (videoInfo.playlists?.length) {
+      card.push(`📂 Playlists: ${videoInfo.playlists.map(playlist => playlist.title).join(', ')}`);
+    }
+    card.push(...this.describeAdvanced(videoInfo));
+    
+    return { videoInfo, errors, card };
+  }
+
+  async handleAuthCode(ctx, code, userId) {
+    await ctx.reply('🔐 Processing authorization code...');
+    await this.completeAuth(userId, code);
+  }
+
+  // Shared by the pasted-code fallback and the /auth/callback route, which
+  // has no ctx, so the user is messaged directly in their private chat.
+  async completeAuth(userId, code) {
+    const result = await this.uploader.handleAuthCallback(code, userId);
+    
+    // Called from the web callback too, outside the session middleware
+    const session = await this.userSessions.load(userId);
+    session.authStep = null;
+    await this.userSessions.save(userId);
+    
+    if (result.success) {
+      const welcomeMsg = `
+✅ *Authentication Successful!*
+
+Welcome, *${result.name}*!
+
+Your YouTube channel is now connected.
+
+📤 *To upload:*
+• Send me a video file
+• Send a Google Drive link
+• Use /upload command
+
+Your videos will be uploaded to:
+${result.email}
+      `;
+      
+      await this.notify(userId, welcomeMsg, { parse_mode: 'Markdown' });
+    } else {
+      await this.notify(userId, `❌ Authentication failed: ${result.error}\n\nTry /auth again.`);
+    }
+    
+    return result;
+  }
+
+  async applyPreset(ctx, userId, name) {
+    const session = this.userSessions.get(userId);
+    
+    if (!['idle', 'awaiting_video'].includes(session.step)) {
+      return ctx.reply('❌ Finish the current upload or /cancel it before picking a preset.');
+    }
+    
+    const preset = await this.presets.get(userId, name);
+    if (!preset) {
+      return ctx.reply(`❌ No preset named "${name}". See /preset list.`);
+    }
+    
+    session.preset = preset;
+    session.step = 'awaiting_video';
+    
+    await ctx.reply(
+      `⚙️ Using preset "${preset.name}"\n${this.describePreset(preset)}\n\n` +
+      `Now send me a video file or link.`
+    );
+  }
+
+  // Plain text: descriptions and playlist titles can contain Markdown characters
+  describePreset(preset) {
+    const lines = [];
+    if (preset.description !== undefined) {
+      const preview = preset.description.length > 60
+        ? `${preset.description.substring(0, 60)}…`
+        : preset.description;
+      lines.push(`📝 Description: ${preview}`);
+    }
+    if (preset.tags !== undefined) lines.push(`🏷 Tags: ${preset.tags}`);
+    if (preset.categoryId !== undefined) lines.push(`🗂 Category: ${preset.categoryId}`);
+    if (preset.privacyStatus !== undefined) lines.push(`🔒 Privacy: ${preset.privacyStatus}`);
+    if (preset.playlists !== undefined) {
+      const titles = preset.playlists.map(playlist => playlist.title);
+      lines.push(`📂 Playlists: ${titles.length > 0 ? titles.join(', ') : 'none'}`);
+    }
+    lines.push(...this.describeAdvanced(preset));
+    return lines.join('\n');
+  }
+
+  presetKeyboard(preset) {
+    return Markup.inlineKeyboard([
+      [Markup.button.callback('⚙️ Advanced settings', `preset_adv:${preset.name}`)]
+    ]);
+  }
+
+  // The advanced settings screen edits the wizard's videoInfo, or a preset
+  // when it was opened from one
+  async getAdvancedTarget(userId) {
+    const session = this.userSessions.get(userId);
+    if (session.advancedPreset) {
+      return (await this.presets.get(userId, session.advancedPreset)) || {};
+    }
+    return session.videoInfo;
+  }
+
+  // `undefined` values clear a setting back to its default
+  async updateAdvancedTarget(userId, changes) {
+    const session = this.userSessions.get(userId);
+    if (session.advancedPreset) {
+      const preset = await this.presets.get(userId, session.advancedPreset);
+      const updated = { ...preset, ...changes };
+      for (const [key, value] of Object.entries(changes)) {
+        if (value === undefined) delete updated[key];
+      }
+      await this.presets.save(userId, session.advancedPreset, updated);
+      return updated;
+    }
+    
+    Object.assign(session.videoInfo, changes);
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === undefined) delete session.videoInfo[key];
+    }
+    return session.videoInfo;
+  }
+
+  advancedKeyboard(info) {
+    const rows = ADVANCED_TOGGLES.map(toggle => [
+      Markup.button.callback(
+        `${toggle.label}: ${(info[toggle.field] ?? toggle.defaultValue) ? 'Yes' : 'No'}`,
+        `adv_toggle:${toggle.field}`
+      )
+    ]);
+    
+    rows.push([Markup.button.callback(
+      `📜 License: ${info.license === 'creativeCommon' ? 'Creative Commons' : 'Standard YouTube'}`,
+      'adv_license'
+    )]);
+    
+    for (const [field, input] of Object.entries(ADVANCED_INPUTS)) {
+      rows.push([Markup.button.callback(
+        `${input.label}: ${this.advancedInputValue(info, field) || '—'}`,
+        `adv_input:${field}`
+      )]);
+    }
+    
+    rows.push([Markup.button.callback('✅ Continue', 'adv_done')]);
+    return Markup.inlineKeyboard(rows);
+  }
+
+  advancedInputValue(info, field) {
+    if (field !== 'recording') return info[field];
+    
+    const parts = [];
+    if (info.recordingDate) parts.push(info.recordingDate);
+    if (info.location) parts.push(`${info.location.latitude},${info.location.longitude}`);
+    return parts.join(' ');
+  }
+
+  // Only what differs from YouTube's defaults
+  describeAdvanced(info) {
+    const lines = ADVANCED_TOGGLES
+      .filter(toggle => info[toggle.field] !== undefined && info[toggle.field] !== toggle.defaultValue)
+      .map(toggle => `${toggle.label}: ${info[toggle.field] ? 'yes' : 'no'}`);
+    
+    if (info.license === 'creativeCommon') {
+      lines.push('📜 License: Creative Commons');
+    }
+    for (const [field, input] of Object.entries(ADVANCED_INPUTS)) {
+      const value = this.advancedInputValue(info, field);
+      if (value) lines.push(`${input.label}: ${value}`);
+    }
+    return lines;
+  }
+
+  async handleAdvancedInput(ctx, text, userId) {
+    const session = this.userSessions.get(userId);
+    const field = session.advancedInput;
+    let changes;
+    
+    if (text.toLowerCase() === 'clear') {
+      changes = field === 'recording'
+        ? { recordingDate: undefined, location: undefined }
+        : { [field]: undefined };
+    } else if (field === 'recording') {
+      changes = this.parseRecordingDetails(text);
+      if (!changes) {
+        return ctx.reply('❌ Use a date like 2026-10-01 and/or a location like 52.52,13.40.');
+      }
+    } else {
+      if (!isValidLanguage(text)) {
+        return ctx.reply('❌ That doesn\'t look like a language code. Try something like en, es or pt-BR.');
+      }
+      changes = { [field]: text };
+    }
+    
+    const updated = await this.updateAdvancedTarget(userId, changes);
+    delete session.advancedInput;
+    session.step = 'awaiting_advanced';
+    
+    await ctx.reply('⚙️ Advanced settings', this.advancedKeyboard(updated));
+  }
+
+  // "2026-10-01", "52.52,13.40" or both; null when neither is valid
+  parseRecordingDetails(text) {
+    const match = text.match(/^(\d{4}-\d{2}-\d{2})?\s*(?:(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?))?$/);
+    if (!match || (!match[1] && !match[2])) return null;
+    
+    const changes = {};
+    if (match[1]) {
+      const date = new Date(`${match[1]}T00:00:00Z`);
+      if (isNaN(date) || date.toISOString().slice(0, 10) !== match[1]) return null;
+      changes.recordingDate = match[1];
+    }
+    if (match[2]) {
+      const latitude = parseFloat(match[2]);
+      const longitude = parseFloat(match[3]);
+      if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+      changes.location = { latitude, longitude };
+    }
+    return changes;
+  }
+
+  async replyWithPreset(ctx, preset, heading) {
+    await ctx.reply(`${heading} "${preset.name}"\n${this.describePreset(preset)}`, this.presetKeyboard(preset));
+  }
+
+  // Wizard steps the chosen preset already answers
+  presetSteps(preset) {
+    return new Set(
+      Object.keys(PRESET_STEPS)
+        .filter(field => preset?.[field] !== undefined)
+        .map(field => PRESET_STEPS[field])
+    );
+  }
+
+  // Ask for the wizard step after `current` (or the first one) and enqueue
+  // the upload once every step has been answered
+  async advanceWizard(ctx, userId, current = null) {
+    const session = this.userSessions.get(userId);
+    const covered = this.presetSteps(session.preset);
+    
+    // Thumbnails and subtitles belong to a single video
+    if (session.batch) {
+      covered.add('thumbnail');
+      covered.add('captions');
+    }
+    
+    let index = WIZARD_STEPS.indexOf(current) + 1;
+    while (covered.has(WIZARD_STEPS[index])) index++;
+    const next = WIZARD_STEPS[index];
+    
+    if (!next) {
+      return this.enqueueUpload(ctx, userId);
+    }
+    
+    session.step = `awaiting_${next}`;
+    await this.promptStep(ctx, next, userId);
+  }
+
+  async promptStep(ctx, step, userId) {
+    switch (step) {
+      case 'title': {
+        const session = this.userSessions.get(userId);
+        if (session.batch) {
+          return ctx.reply(
+            `Now send a *title pattern* for the ${session.batch.length} videos. ` +
+            `{n} becomes each video's number, e.g. "Episode {n}". ` +
+            `Type "skip" to use each file's name.`,
+            { parse_mode: 'Markdown' }
+          );
+        }
+        return ctx.reply('Now, please send me the *video title* (or type "skip" to use the file name):', {
+          parse_mode: 'Markdown'
+        });
+      }
+      case 'description':
+        return ctx.reply('Great! Now send me the *video description* (or type "skip"):', {
+          parse_mode: 'Markdown'
+        });
+      case 'category':
+        return this.promptCategories(ctx, userId);
+      case 'privacy':
+        return ctx.reply('Choose privacy setting:', {
+          ...Markup.inlineKeyboard([
+            [
+              Markup.button.callback('🔒 Private', 'privacy_private'),
+              Markup.button.callback('🔗 Unlisted', 'privacy_unlisted')
+            ],
+            [
+              Markup.button.callback('🌍 Public', 'privacy_public'),
+              Markup.button.callback('📅 Schedule', 'privacy_schedule')
+            ]
+          ])
+        });
+      case 'tags':
+        return ctx.reply('Now, send me tags (comma-separated, or type "skip"):');
+      case 'advanced':
+        return ctx.reply(
+          '⚙️ Change advanced settings? (made for kids, license, embedding, languages, recording details)',
+          Markup.inlineKeyboard([
+            [
+              Markup.button.callback('⚙️ Open', 'adv_open'),
+              Markup.button.callback('⏭ Skip', 'adv_done')
+            ]
+          ])
+        );
+      case 'thumbnail': {
+        const limits = config.youtube.thumbnail;
+        return ctx.reply(
+          `🖼 Send a *custom thumbnail* as a photo or image file, or skip this step.\n\n` +
+          `JPEG or PNG, max ${limits.maxSize / 1024 / 1024}MB, at least ${limits.minWidth}px wide.`,
+          {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+              [Markup.button.callback('⏭ Skip', 'skip_thumbnail')]
+            ])
+          }
+        );
+      }
+      case 'captions':
+        return ctx.reply(
+          '💬 Send *subtitle files* (.srt or .vtt), one at a time, or skip this step.',
+          {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+              [Markup.button.callback('⏭ Skip', 'captions_done')]
+            ])
+          }
+        );
+      case 'playlists':
+        return this.promptPlaylists(ctx, userId);
     }
   }
 
-  async handleUrl(ctx, url, userId) {
-    const session = this.userSessions.get(userId);
+  // Downloads a subtitle file from Telegram and parses it
+  async checkCaptionFile(fileId, fileName) {
+    let filePath = null;
     
-    if (!session || session.step !== 'awaiting_video') {
-      return ctx.reply('Please use /upload first to start the upload process.');
+    try {
+      const fileLink = await this.bot.telegram.getFileLink(fileId);
+      const download = await this.downloader.downloadTelegramFile(
+        fileLink.href,
+        `caption_${Date.now()}_${path.basename(fileName)}`
+      );
+      if (!download.success) {
+        return { valid: false, error: download.error };
+      }
+      filePath = download.filePath;
+      
+      return validateCaptions(await fs.readFile(filePath), fileName);
+    } finally {
+      await this.downloader.cleanup(filePath);
     }
+  }
+
+  async handleCaptionFile(ctx, doc) {
+    const userId = ctx.from.id;
+    const session = this.userSessions.get(userId);
+    const limits = config.youtube.captions;
     
-    // Check authentication
-    const isAuth = await this.uploader.checkAuth(userId);
-    if (!isAuth) {
-      return ctx.reply('❌ Please authenticate first using /auth command.');
+    if (doc.file_size > limits.maxSize) {
+      return ctx.reply(`❌ Subtitle file too large (max ${limits.maxSize / 1024 / 1024}MB).`);
     }
     
-    await ctx.reply('🔗 Processing link...');
+    const check = await this.checkCaptionFile(doc.file_id, doc.file_name);
+    if (!check.valid) {
+      return ctx.reply(`❌ ${doc.file_name}: ${check.error}\n\nFix the file and send it again, or type "done".`);
+    }
     
-    session.step = 'downloading';
-    session.downloadProgress = 0;
+    session.pendingCaption = { fileId: doc.file_id, fileName: doc.file_name };
+    session.step = 'awaiting_caption_language';
     
-    let result;
+    const suggestions = [...new Set([guessLanguage(doc.file_name), limits.defaultLanguage].filter(Boolean))];
+    await ctx.reply(
+      `✅ ${doc.file_name}: ${check.cueCount} cues (${check.format.toUpperCase()}, ${check.encoding})\n\n` +
+      `🌐 Which language is it? Tap one or send a language code (e.g. en, es, pt-BR).`,
+      Markup.inlineKeyboard([
+        suggestions.map(code => Markup.button.callback(code, `cap_lang:${code}`))
+      ])
+    );
+  }
+
+  async setCaptionLanguage(ctx, userId, code) {
+    const session = this.userSessions.get(userId);
     
-    // Determine URL type and download
-    if (url.includes('drive.google.com')) {
-      await ctx.reply('📥 Downloading from Google Drive...');
-      result = await this.downloader.downloadGoogleDrive(
-        url,
-        `gdrive_${Date.now()}.mp4`,
-        (progress) => {
-          session.downloadProgress = progress;
-        }
-      );
-    } else {
-      await ctx.reply('📥 Downloading from URL...');
-      result = await this.downloader.downloadDirectUrl(
-        url,
-        `url_${Date.now()}.mp4`,
-        (progress) => {
-          session.downloadProgress = progress;
-        }
-      );
+    if (!isValidLanguage(code)) {
+      return ctx.reply('❌ That doesn\'t look like a language code. Try something like en, es or pt-BR.');
     }
     
-    if (!result.success) {
-      session.step = 'idle';
-      return ctx.reply(`❌ Download failed: ${result.error}`);
+    session.pendingCaption.language = code;
+    session.step = 'awaiting_caption_name';
+    
+    await ctx.reply(`🏷 Send a name for this ${code} track (viewers see it in the subtitle menu), or type "skip".`);
+  }
+
+  async handleCaptionName(ctx, text, userId) {
+    const session = this.userSessions.get(userId);
+    const caption = session.pendingCaption;
+    
+    caption.name = text.toLowerCase() === 'skip' ? '' : text;
+    delete session.pendingCaption;
+    session.step = 'awaiting_captions';
+    
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('✅ Done', 'captions_done')]
+    ]);
+    
+    // From /captions: the video already exists, upload right away
+    if (session.captionTarget) {
+      await ctx.reply('📤 Uploading subtitles...');
+      
+      const check = await this.checkCaptionFile(caption.fileId, caption.fileName);
+      const result = check.valid
+        ? await this.uploader.uploadCaption(userId, session.captionTarget, { ...caption, text: check.text })
+        : { success: false, error: check.error };
+      
+      return ctx.reply(
+        result.success
+          ? `💬 ${caption.fileName} (${caption.language}) added. Send another file or press Done.`
+          : `❌ Could not add ${caption.fileName}: ${result.error}`,
+        keyboard
+      );
     }
     
-    session.filePath = result.filePath;
-    session.videoInfo = {
-      mimeType: result.mimeType,
-      size: result.size
-    };
-    session.step = 'awaiting_title';
+    session.captions = session.captions || [];
+    session.captions.push(caption);
     
     await ctx.reply(
-      `✅ Video downloaded successfully!\n\n` +
-      `Size: ${(result.size / 1024 / 1024).toFixed(2)}MB\n\n` +
-      `Now, please send me the *video title*:`,
-      { parse_mode: 'Markdown' }
+      `💬 ${caption.fileName} (${caption.language}) will be added after the upload. Send another file or press Done.`,
+      keyboard
     );
   }
 
-  async handleAuthCode(ctx, code, userId) {
-    await ctx.reply('🔐 Processing authorization code...');
+  async finishCaptions(ctx, userId) {
+    const session = this.userSessions.get(userId);
     
-    const result = await this.uploader.handleAuthCallback(code, userId);
+    if (session.captionTarget) {
+      delete session.captionTarget;
+      session.step = 'idle';
+      return ctx.reply('💬 Done adding subtitles.');
+    }
     
+    await this.advanceWizard(ctx, userId, 'captions');
+  }
+
+  // Accepts a bare ID or any of the usual YouTube link forms
+  extractVideoId(input) {
+    const match = input.match(/(?:youtu\.be\/|[?&]v=|\/shorts\/|\/live\/)([\w-]{11})/) ||
+      input.match(/^([\w-]{11})$/);
+    return match ? match[1] : null;
+  }
+
+  async promptCategories(ctx, userId) {
     const session = this.userSessions.get(userId);
-    if (session) {
-      session.authStep = null;
+    const { categoryId } = await this.settings.get(userId);
+    
+    const result = await this.uploader.listCategories(userId);
+    if (!result.success) {
+      if (categoryId) {
+        session.videoInfo.categoryId = categoryId;
+      }
+      await ctx.reply(`⚠️ Could not load categories (${result.error}), using your default.`);
+      return this.advanceWizard(ctx, userId, 'category');
     }
     
-    if (result.success) {
-      const welcomeMsg = `
-✅ *Authentication Successful!*
+    session.categoryChoices = result.categories;
+    
+    // Two per row, the remembered default first
+    const sorted = [...result.categories].sort((a, b) => (b.id === categoryId) - (a.id === categoryId));
+    const rows = [];
+    for (let i = 0; i < sorted.length; i += 2) {
+      rows.push(sorted.slice(i, i + 2).map(category =>
+        Markup.button.callback(
+          `${category.id === categoryId ? '⭐ ' : ''}${category.title}`,
+          `cat:${category.id}`
+        )
+      ));
+    }
+    
+    await ctx.reply(
+      `🗂 Choose a category${categoryId ? ' (⭐ is the one you used last)' : ''}:`,
+      Markup.inlineKeyboard(rows)
+    );
+  }
 
-Welcome, *${result.name}*!
+  async promptPlaylists(ctx, userId) {
+    const session = this.userSessions.get(userId);
+    
+    const result = await this.uploader.listPlaylists(userId);
+    if (!result.success) {
+      await ctx.reply(`⚠️ Could not load your playlists (${result.error}), skipping this step.`);
+      return this.advanceWizard(ctx, userId, 'playlists');
+    }
+    
+    session.playlistChoices = result.playlists
+      .slice(0, MAX_PLAYLIST_BUTTONS)
+      .map(({ id, title }) => ({ id, title }));
+    session.videoInfo.playlists = session.videoInfo.playlists || [];
+    
+    await ctx.reply(
+      '📂 Add the video to any playlists? Tap to select, then press Done.',
+      this.playlistKeyboard(session)
+    );
+  }
 
-You can now upload videos to your YouTube account.
+  playlistKeyboard(session) {
+    const selected = new Set(session.videoInfo.playlists.map(playlist => playlist.id));
+    
+    return Markup.inlineKeyboard([
+      ...session.playlistChoices.map(playlist => [
+        Markup.button.callback(
+          `${selected.has(playlist.id) ? '✅' : '▫️'} ${playlist.title}`,
+          `pl_toggle:${playlist.id}`
+        )
+      ]),
+      [
+        Markup.button.callback('➕ New playlist', 'pl_new'),
+        Markup.button.callback('✅ Done', 'pl_done')
+      ]
+    ]);
+  }
 
-📤 *To upload:*
-• Send me a video file
-• Send a Google Drive link
-• Use /upload command
+  async handlePlaylistName(ctx, text, userId) {
+    const session = this.userSessions.get(userId);
+    
+    session.step = session.playlistReturnStep || 'idle';
+    delete session.playlistReturnStep;
+    
+    const playlist = await this.createPlaylist(ctx, userId, text);
+    
+    // Back in the wizard: select the new playlist and show the picker again
+    if (session.step === 'awaiting_playlists') {
+      if (playlist) {
+        session.playlistChoices.unshift(playlist);
+        session.videoInfo.playlists.push(playlist);
+      }
+      await ctx.reply('📂 Playlists for this video:', this.playlistKeyboard(session));
+    }
+  }
 
-Your videos will be uploaded to:
-${result.email}
-      `;
-      
-      await ctx.reply(welcomeMsg, { parse_mode: 'Markdown' });
-    } else {
-      await ctx.reply(`❌ Authentication failed: ${result.error}\n\nTry /auth again.`);
+  async createPlaylist(ctx, userId, title) {
+    const result = await this.uploader.createPlaylist(userId, title);
+    
+    if (!result.success) {
+      await ctx.reply(`❌ Could not create playlist: ${result.error}`);
+      return null;
     }
+    
+    await ctx.reply(`✅ Created private playlist "${result.playlist.title}".`);
+    return { id: result.playlist.id, title: result.playlist.title };
   }
 
   async handleTitle(ctx, text, userId) {
     const session = this.userSessions.get(userId);
-    session.videoInfo.title = text;
-    session.step = 'awaiting_description';
     
-    await ctx.reply('Great! Now send me the *video description* (or type "skip"):', {
-      parse_mode: 'Markdown'
-    });
+    // Batch titles must tell the videos apart, unless each is named after its file
+    let title = text.toLowerCase() === 'skip' ? '{file}' : text;
+    if (session.batch && !title.includes('{n}') && !title.includes('{file}')) {
+      title = `${title} {n}`;
+    }
+    
+    const check = validateTitle(title, { batchSize: session.batch?.length });
+    if (!check.valid) {
+      return ctx.reply(`❌ ${check.error}\n\nPlease send another title.`);
+    }
+    await this.reportFixes(ctx, check.fixes);
+    
+    // A preset's description may use {title}, and known file names fill {file}
+    const expanded = this.expandedError({ ...session, videoInfo: { ...session.videoInfo, title: check.value } });
+    if (expanded) {
+      return ctx.reply(`❌ ${expanded}\n\nPlease send another title.`);
+    }
+    
+    session.videoInfo.title = check.value;
+    
+    await this.advanceWizard(ctx, userId, 'title');
   }
 
   async handleDescription(ctx, text, userId) {
     const session = this.userSessions.get(userId);
     
     if (text.toLowerCase() !== 'skip') {
-      session.videoInfo.description = text;
+      const check = validateDescription(text);
+      if (!check.valid) {
+        return ctx.reply(`❌ ${check.error}\n\nPlease send a shorter description, or type "skip".`);
+      }
+      
+      const expanded = this.expandedError({ ...session, videoInfo: { ...session.videoInfo, description: check.value } });
+      if (expanded) {
+        return ctx.reply(`❌ ${expanded}\n\nPlease send a shorter description, or type "skip".`);
+      }
+      session.videoInfo.description = check.value;
     }
     
-    session.step = 'awaiting_privacy';
-    
-    await ctx.reply('Choose privacy setting:', {
-      ...Markup.inlineKeyboard([
-        [
-          Markup.button.callback('🔒 Private', 'privacy_private'),
-          Markup.button.callback('🔗 Unlisted', 'privacy_unlisted')
-        ],
-        [
-          Markup.button.callback('🌍 Public', 'privacy_public')
-        ]
-      ])
-    });
+    await this.advanceWizard(ctx, userId, 'description');
   }
 
   async setPrivacy(ctx, privacy) {
     const userId = ctx.from.id;
     const session = this.userSessions.get(userId);
+    // Buttons from an earlier or abandoned upload stay tappable
+    if (session?.step !== 'awaiting_privacy') return;
     
     session.videoInfo.privacyStatus = privacy;
-    session.step = 'awaiting_tags';
     
-    await ctx.editMessageText(
-      `Privacy set to: *${privacy}*\n\n` +
-      `Now, send me tags (comma-separated, or type "skip"):`,
-      { parse_mode: 'Markdown' }
+    await ctx.editMessageText(`Privacy set to: *${privacy}*`, { parse_mode: 'Markdown' });
+    await this.advanceWizard(ctx, userId, 'privacy');
+  }
+
+  async handleSchedule(ctx, text, userId) {
+    const session = this.userSessions.get(userId);
+    const { timezone } = await this.settings.get(userId);
+    
+    const publishAt = parseSchedule(text, timezone);
+    if (!publishAt) {
+      return ctx.reply(
+        '❌ I couldn\'t understand that time.\n\n' +
+        'Try something like "2026-11-02 18:00", "tomorrow 9am" or "in 3 hours".'
+      );
+    }
+    
+    const minLead = config.scheduling.minLeadMinutes;
+    if (publishAt.getTime() < Date.now() + minLead * 60 * 1000) {
+      return ctx.reply(
+        `❌ ${formatInZone(publishAt, timezone)} is too soon. ` +
+        `Pick a time at least ${minLead} minutes from now so the upload can finish first.`
+      );
+    }
+    
+    session.pendingPublishAt = publishAt.toISOString();
+    
+    await ctx.reply(
+      `📅 Publish at: ${formatInZone(publishAt, timezone)} (${timezone})\n` +
+      `🌐 UTC: ${publishAt.toISOString().replace('.000Z', 'Z')}\n\n` +
+      `Is that right?`,
+      {
+        ...Markup.inlineKeyboard([
+          [
+            Markup.button.callback('✅ Confirm', 'schedule_confirm'),
+            Markup.button.callback('✏️ Change', 'schedule_change')
+          ]
+        ])
+      }
     );
   }
 
+  async reportFixes(ctx, fixes) {
+    if (fixes.length > 0) {
+      await ctx.reply(`✏️ I ${fixes.join(' and ')}.`);
+    }
+  }
+
   async handleTags(ctx, text, userId) {
     const session = this.userSessions.get(userId);
     
     if (text.toLowerCase() !== 'skip') {
-      session.videoInfo.tags = text;
+      const check = validateTags(text);
+      if (!check.valid) {
+        return ctx.reply(`❌ ${check.error}\n\nPlease send the tags again, or type "skip".`);
+      }
+      await this.reportFixes(ctx, check.fixes);
+      session.videoInfo.tags = check.value;
+    }
+    
+    await this.advanceWizard(ctx, userId, 'tags');
+  }
+
+  // Only Telegram's metadata is checked here; the image itself is validated
+  // again by its bytes when the worker applies it
+  async handleThumbnail(ctx, file, type) {
+    const userId = ctx.from.id;
+    const session = this.userSessions.get(userId);
+    const limits = config.youtube.thumbnail;
+    
+    if (type === 'document' && !limits.allowedTypes.includes(file.mime_type)) {
+      return ctx.reply('❌ Thumbnails must be JPEG or PNG images. Send another one or type "skip".');
+    }
+    
+    if (file.file_size > limits.maxSize) {
+      return ctx.reply(
+        `❌ Image too large: ${(file.file_size / 1024 / 1024).toFixed(2)}MB ` +
+        `(max ${limits.maxSize / 1024 / 1024}MB). Send a smaller one or type "skip".`
+      );
+    }
+    
+    if (file.width && file.width < limits.minWidth) {
+      return ctx.reply(
+        `❌ Image is only ${file.width}px wide, thumbnails need at least ${limits.minWidth}px. ` +
+        `Send a larger one or type "skip".`
+      );
     }
     
-    session.step = 'uploading';
+    session.thumbnail = {
+      fileId: file.file_id,
+      fileSize: file.file_size
+    };
     
-    // Start upload to YouTube
-    await ctx.reply('🚀 Starting upload to YouTube...');
+    await ctx.reply('🖼 Thumbnail saved, it will be applied after the upload.');
+    await this.advanceWizard(ctx, userId, 'thumbnail');
+  }
+
+  async enqueueUpload(ctx, userId) {
+    const session = this.userSessions.get(userId);
+    const sources = session.batch || [session.source];
+    const batchId = session.batch ? crypto.randomBytes(4).toString('hex') : null;
     
-    try {
-      const result = await this.uploader.uploadVideo(userId, session.videoInfo);
+    const jobs = [];
+    for (const [index, source] of sources.entries()) {
+      jobs.push(await this.queue.add({
+        userId,
+        chatId: ctx.chat.id,
+        source,
+        videoInfo: this.itemVideoInfo(session, index + 1, source),
+        thumbnail: session.thumbnail,
+        captions: session.captions || [],
+        ...(batchId && { batchId, batchIndex: index + 1, batchSize: sources.length })
+      }));
+    }
+    
+    // Reset session, the job now owns everything it needs
+    session.step = 'idle';
+    session.videoInfo = {};
+    session.source = null;
+    session.batch = null;
+    session.thumbnail = null;
+    session.captions = [];
+    session.preset = null;
+    
+    const position = this.queue.getPosition(jobs[0].id);
+    await ctx.reply(
+      batchId
+        ? `📦 *${jobs.length} uploads queued!*\n\n` +
+          `Position in queue: ${position}\n` +
+          `They upload one after another, I'll keep a single summary message up to date here.`
+        : `📋 *Upload queued!*\n\n` +
+          `Position in queue: ${position}\n` +
+          `I'll message you here as it progresses. Use /status to check on it.`,
+      { parse_mode: 'Markdown' }
+    );
+    
+    this.worker.kick();
+  }
+
+  // {n} in a batch title or description is the item's number; {title} in a
+  // (preset) description is the final title. {file} is the source's file
+  // name when it is already known; otherwise the worker fills it in once the
+  // download reveals it.
+  itemVideoInfo(session, number, source = null) {
+    const videoInfo = { ...session.videoInfo };
+    const fileTitle = titleFromFileName(source?.originalName);
+    const expand = (text) => {
+      let expanded = session.batch ? text.replace(/\{n\}/g, number) : text;
+      if (fileTitle) expanded = expanded.replace(/\{file\}/g, fileTitle);
+      return expanded;
+    };
+    
+    videoInfo.title = expand(videoInfo.title);
+    if (videoInfo.description) {
+      videoInfo.description = expand(videoInfo.description).replace(/\{title\}/g, videoInfo.title);
+    }
+    return videoInfo;
+  }
+
+  // The first title or description that breaks YouTube's limits once
+  // itemVideoInfo has filled in its templates, or null
+  expandedError(session) {
+    const sources = session.batch || [session.source];
+    for (const [index, source] of sources.entries()) {
+      const error = validateExpanded(this.itemVideoInfo(session, index + 1, source));
+      if (error) {
+        return sources.length > 1 ? `Video ${index + 1}: ${error}` : error;
+      }
+    }
+    return null;
+  }
+
+  setupWorkerEvents() {
+    this.worker.on('state', async (job) => {
+      const headings = {
+        downloading: '📥 Downloading video...',
+        uploading: '🚀 Uploading to YouTube...'
+      };
+      if (job.batchId) {
+        return this.updateBatch(job);
+      }
+      if (!headings[job.state]) return;
+      
+      // One message per job, edited in place through download and upload
+      let reporter = this.progressReporters.get(job.id);
+      if (!reporter) {
+        reporter = new ProgressReporter(this.bot.telegram, job.chatId, job.videoInfo.title);
+        this.progressReporters.set(job.id, reporter);
+        await reporter.start(headings[job.state]);
+      } else {
+        // A {file} title is only filled in once the download is done
+        reporter.title = job.videoInfo.title;
+        await reporter.nextPhase(headings[job.state]);
+      }
+    });
+
+    this.worker.on('progress', async (job, { percent, transferred, total }) => {
+      if (job.batchId) {
+        // Only the upload counts towards a batch's progress
+        if (job.state === 'uploading') {
+          await this.batchReporters.get(job.batchId)?.setItem(job.id, { percent });
+        }
+        return;
+      }
+      
+      const reporter = this.progressReporters.get(job.id);
+      if (reporter) {
+        await reporter.update(percent, transferred, total);
+      }
+    });
+
+    this.worker.on('done', async (job) => {
+      if (job.batchId) {
+        return this.updateBatch(job);
+      }
       
-      if (result.success) {
-        const successMsg = `
+      await this.finishProgress(job, `✅ Uploaded to YouTube\n📹 ${job.videoInfo.title}`);
+      
+      const { result } = job;
+      const successMsg = `
 ✅ *Upload Successful!*
 
 📹 *Title:* ${result.title}
-🔗 *URL:* ${result.url}
-🔒 *Privacy:* ${result.privacyStatus}
+🔗 *URL:* ${result.videoUrl}
+🔒 *Privacy:* ${result.privacyStatus}${result.publishAt ? `\n📅 *Goes public:* ${result.publishAt}` : ''}
 
 The video is now processing on YouTube. It may take a few minutes to be available in full quality.
-        `;
-        
-        await ctx.reply(successMsg, { 
-          parse_mode: 'Markdown',
-          ...Markup.inlineKeyboard([
-            [Markup.button.url('📺 View on YouTube', result.videoUrl)]
-          ])
-        });
-      } else {
-        await ctx.reply(`❌ Upload failed: ${result.error}`);
+      `;
+      
+      await this.notify(job.chatId, successMsg, {
+        parse_mode: 'Markdown',
+        ...Markup.inlineKeyboard([
+          [Markup.button.url('📺 View on YouTube', result.videoUrl)]
+        ])
+      });
+      
+      if (job.thumbnailResult) {
+        await this.notify(job.chatId, job.thumbnailResult.success
+          ? '🖼 Custom thumbnail applied.'
+          : `⚠️ The video was uploaded, but the thumbnail could not be set: ${job.thumbnailResult.error}`);
       }
       
-    } catch (error) {
-      await ctx.reply(`❌ Upload error: ${error.message}`);
-    } finally {
-      // Cleanup
-      if (session.filePath) {
-        await this.downloader.cleanup(session.filePath);
+      if (job.captionResults) {
+        const lines = job.captionResults.map(caption => caption.success
+          ? `💬 Subtitles added: ${caption.fileName} (${caption.language})`
+          : `⚠️ Could not add ${caption.fileName}: ${caption.error}`);
+        await this.notify(job.chatId, lines.join('\n'));
       }
       
-      // Reset session
-      session.step = 'idle';
-      session.videoInfo = {};
-      session.filePath = null;
+      if (job.playlistResults) {
+        const lines = job.playlistResults.map(playlist => playlist.success
+          ? `📂 Added to "${playlist.title}"`
+          : `⚠️ Could not add to "${playlist.title}": ${playlist.error}`);
+        await this.notify(job.chatId, lines.join('\n'));
+      }
+    });
+
+    this.worker.on('failed', async (job) => {
+      if (job.batchId) {
+        return this.updateBatch(job);
+      }
+      
+      await this.finishProgress(job, `❌ Upload stopped\n📹 ${job.videoInfo.title}`);
+      await this.notify(job.chatId, `❌ Upload failed: ${job.error}\n📹 ${job.videoInfo.title}`);
+    });
+  }
+
+  // Batches get one summary message instead of a message per video, and a
+  // list of links once every item has finished
+  async updateBatch(job) {
+    let reporter = this.batchReporters.get(job.batchId);
+    if (!reporter) {
+      const jobs = this.queue.getUserJobs(job.userId)
+        .filter(entry => entry.batchId === job.batchId)
+        .sort((a, b) => a.batchIndex - b.batchIndex);
+      reporter = new BatchReporter(this.bot.telegram, job.chatId, jobs);
+      this.batchReporters.set(job.batchId, reporter);
+      await reporter.start();
+    }
+    
+    const failedPlaylists = (job.playlistResults || []).filter(playlist => !playlist.success);
+    await reporter.setItem(job.id, {
+      title: job.videoInfo.title,
+      state: job.state,
+      percent: null,
+      error: job.error,
+      videoUrl: job.result?.videoUrl || null,
+      warning: failedPlaylists.length > 0
+        ? `Not added to ${failedPlaylists.map(playlist => `"${playlist.title}"`).join(', ')}`
+        : null
+    }, true);
+    
+    if (reporter.isFinished() && this.batchReporters.get(job.batchId) === reporter) {
+      this.batchReporters.delete(job.batchId);
+      await this.notify(job.chatId, reporter.summary(), { disable_web_page_preview: true });
+    }
+  }
+
+  setupAuthEvents() {
+    // Private chats share the user's ID, so the user can be reached directly
+    this.uploader.on('reauth-required', async (userId) => {
+      await this.notify(
+        userId,
+        '⚠️ *YouTube access expired*\n\n' +
+        'Google no longer accepts the stored authorization for your channel ' +
+        '(it was revoked or has expired). Please use /auth to connect again.',
+        { parse_mode: 'Markdown' }
+      );
+    });
+  }
+
+  async finishProgress(job, text) {
+    const reporter = this.progressReporters.get(job.id);
+    if (reporter) {
+      this.progressReporters.delete(job.id);
+      await reporter.finish(text);
+    }
+  }
+
+  async notify(chatId, text, extra = {}) {
+    try {
+      await this.bot.telegram.sendMessage(chatId, text, extra);
+    } catch (error) {
+      console.error(`❌ Could not notify chat ${chatId}:`, error.message);
+    }
+  }
+
+  formatJobStatus(job) {
+    const icons = {
+      queued: '⏳',
+      downloading: '📥',
+      uploading: '📤',
+      done: '✅',
+      failed: '❌'
+    };
+    
+    let line = `${icons[job.state]} ${job.videoInfo.title} — ${job.state}`;
+    if (job.state === 'queued') {
+      line += ` (#${this.queue.getPosition(job.id)})`;
+    } else if (job.state === 'downloading' || job.state === 'uploading') {
+      line += ` ${job.progress || 0}%`;
+    } else if (job.state === 'failed') {
+      line += `: ${job.error}`;
     }
+    return line;
   }
 
   isValidUrl(string) {
@@ -769,6 +2527,13 @@ The video is now processing on YouTube. It may take a few minutes to be availabl
   }
 
   launch() {
+    // Tokens must be migrated before the worker starts using them
+    this.uploader.init()
+      .then(() => this.worker.start())
+      .catch((error) => {
+        console.error('❌ Could not start upload worker:', error);
+      });
+    
     if (config.telegram.webhook.enabled && config.server.isProduction) {
       // Webhook mode for production
       const domain = config.telegram.webhook.domain;
@@ -793,6 +2558,7 @@ The video is now processing on YouTube. It may take a few minutes to be availabl
   }
 
   stop() {
+    this.worker.stop();
     this.bot.stop();
   }
 }
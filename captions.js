@@ -0,0 +1,141 @@
+// Subtitle files are checked here before they reach captions.insert: the
+// text encoding is detected and decoded, and every cue is parsed so broken
+// or out-of-order timestamps are caught while the user can still fix them.
+
+const CAPTION_EXTENSIONS = ['.srt', '.vtt'];
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+// SRT: 00:01:02,500   VTT: 00:01:02.500 or 01:02.500
+const SRT_TIMESTAMP = /^(\d{1,2}):(\d{2}):(\d{2})[,.](\d{3})$/;
+const VTT_TIMESTAMP = /^(?:(\d{1,2}):)?(\d{2}):(\d{2})\.(\d{3})$/;
+
+function isCaptionFile(fileName) {
+  const lower = (fileName || '').toLowerCase();
+  return CAPTION_EXTENSIONS.some(extension => lower.endsWith(extension));
+}
+
+function isValidLanguage(code) {
+  return LANGUAGE_PATTERN.test(code);
+}
+
+// "episode1.en.srt" or "talk.pt_BR.vtt" carry a language hint
+function guessLanguage(fileName) {
+  const match = (fileName || '').match(/\.([a-z]{2,3}(?:[-_][a-z0-9]{2,8})?)\.(?:srt|vtt)$/i);
+  if (!match) return null;
+  const code = match[1].replace('_', '-');
+  return isValidLanguage(code) ? code : null;
+}
+
+// BOMs are trusted; without one, strict UTF-8 is tried before falling back
+// to Windows-1252, which is what most non-UTF-8 subtitle files use
+function detectEncoding(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return 'utf-8';
+  if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf-16le';
+  if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) return 'utf-16be';
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return 'utf-8';
+  } catch {
+    return 'windows-1252';
+  }
+}
+
+function decode(buffer) {
+  const encoding = detectEncoding(buffer);
+  // TextDecoder drops the BOM itself
+  const text = new TextDecoder(encoding).decode(buffer);
+  return { text, encoding };
+}
+
+function parseTimestamp(value, pattern) {
+  const match = value.match(pattern);
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds, millis] = match;
+  if (parseInt(minutes) > 59 || parseInt(seconds) > 59) return null;
+
+  return ((parseInt(hours) * 60 + parseInt(minutes)) * 60 + parseInt(seconds)) * 1000 + parseInt(millis);
+}
+
+// Cue blocks are separated by blank lines; the timing line is the first or
+// second line of a block (after an optional index or identifier)
+function parseCues(text, format) {
+  const pattern = format === 'vtt' ? VTT_TIMESTAMP : SRT_TIMESTAMP;
+  const blocks = text.replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/).map(block => block.trim()).filter(Boolean);
+  const cues = [];
+
+  if (format === 'vtt') {
+    if (!/^WEBVTT(?:[ \t].*)?$/.test(blocks[0]?.split('\n')[0] || '')) {
+      return { error: 'WebVTT files must start with a "WEBVTT" line' };
+    }
+    blocks.shift();
+  }
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+
+    // Comments and styling carry no cues
+    if (format === 'vtt' && /^(NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+    const timingIndex = lines[0].includes('-->') ? 0 : 1;
+    const timing = lines[timingIndex];
+    const number = cues.length + 1;
+
+    if (!timing || !timing.includes('-->')) {
+      return { error: `Cue ${number}: missing "start --> end" timing line` };
+    }
+
+    // VTT allows cue settings after the end time
+    const [startText, rest] = timing.split('-->').map(part => part.trim());
+    const endText = rest.split(/\s+/)[0];
+    const start = parseTimestamp(startText, pattern);
+    const end = parseTimestamp(endText, pattern);
+
+    if (start === null || end === null) {
+      return { error: `Cue ${number}: invalid timestamp in "${timing}"` };
+    }
+    if (end <= start) {
+      return { error: `Cue ${number}: ends at ${endText}, before it starts at ${startText}` };
+    }
+    if (cues.length > 0 && start < cues[cues.length - 1].start) {
+      return { error: `Cue ${number}: starts at ${startText}, earlier than the cue before it` };
+    }
+
+    const cueText = lines.slice(timingIndex + 1).join('\n');
+    if (!cueText) {
+      return { error: `Cue ${number}: no subtitle text` };
+    }
+
+    cues.push({ start, end, text: cueText });
+  }
+
+  if (cues.length === 0) {
+    return { error: 'No subtitle cues found' };
+  }
+
+  return { cues };
+}
+
+// Returns { valid, format, encoding, text, cueCount } or { valid: false, error }.
+// `text` is the decoded file, ready to be sent as UTF-8.
+function validateCaptions(buffer, fileName) {
+  const { text, encoding } = decode(buffer);
+  const format = /^WEBVTT/.test(text) || (fileName || '').toLowerCase().endsWith('.vtt') ? 'vtt' : 'srt';
+
+  const { cues, error } = parseCues(text, format);
+  if (error) {
+    return { valid: false, error };
+  }
+
+  return { valid: true, format, encoding, text, cueCount: cues.length };
+}
+
+module.exports = {
+  isCaptionFile,
+  isValidLanguage,
+  guessLanguage,
+  detectEncoding,
+  validateCaptions
+};
@@ -1,9 +1,19 @@
 require('dotenv').config();
 
+const MB = 1024 * 1024;
+
+// A self-hosted Bot API server started with --local serves files straight
+// from its disk with no download limit, so Telegram's own 2000MB cap applies
+const telegramLocalMode = process.env.TELEGRAM_API_LOCAL === 'true';
+
 const config = {
   // Telegram Bot
   telegram: {
     token: process.env.TELEGRAM_BOT_TOKEN,
+    apiRoot: process.env.TELEGRAM_API_ROOT || 'https://api.telegram.org',
+    localMode: telegramLocalMode,
+    // Largest file the bot may download from Telegram (20MB on the public API)
+    maxFileSize: telegramLocalMode ? 2000 * MB : 20 * MB,
     adminIds: process.env.ADMIN_USER_IDS 
       ? process.env.ADMIN_USER_IDS.split(',').map(id => parseInt(id.trim())) 
       : [],
@@ -12,7 +22,10 @@ const config = {
       path: process.env.WEBHOOK_PATH || '/bot-webhook',
       secret: process.env.WEBHOOK_SECRET,
       enabled: process.env.ENABLE_WEBHOOK === 'true'
-    }
+    },
+    // Minimum time between edits of a progress message (Telegram rate limits
+    // edits to roughly one per second per chat)
+    progressInterval: parseInt(process.env.PROGRESS_UPDATE_INTERVAL) || 3000
   },
 
   // YouTube/Google API
@@ -24,7 +37,28 @@ const config = {
       'https://www.googleapis.com/auth/youtube.upload',
       'https://www.googleapis.com/auth/youtube',
       'https://www.googleapis.com/auth/userinfo.profile'
-    ]
+    ],
+    // YouTube's limits for custom thumbnails
+    thumbnail: {
+      maxSize: 2 * 1024 * 1024, // 2MB
+      minWidth: 640,
+      allowedTypes: ['image/jpeg', 'image/png']
+    },
+    categories: {
+      defaultId: process.env.DEFAULT_CATEGORY_ID || '22', // People & Blogs
+      // Used when the channel has no country set
+      defaultRegion: process.env.DEFAULT_REGION || 'US',
+      cacheTtl: 7 * 24 * 60 * 60 * 1000 // 7 days
+    },
+    captions: {
+      maxSize: 10 * 1024 * 1024, // 10MB
+      defaultLanguage: process.env.CAPTION_DEFAULT_LANGUAGE || 'en'
+    },
+    upload: {
+      // Resumable upload chunks must be a multiple of 256KB
+      chunkSize: parseInt(process.env.UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024, // 8MB
+      maxRetries: parseInt(process.env.UPLOAD_MAX_RETRIES) || 5
+    }
   },
 
   // Server
@@ -37,7 +71,7 @@ const config = {
 
   // File handling
   files: {
-    maxSize: parseInt(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024, // 50MB
+    maxSize: parseInt(process.env.MAX_FILE_SIZE) || (telegramLocalMode ? 2000 * MB : 50 * MB),
     tempDir: './temp',
     uploadsDir: './uploads',
     allowedTypes: [
@@ -47,9 +81,71 @@ const config = {
       'video/quicktime',
       'video/x-ms-wmv',
       'video/webm',
-      'video/x-flv'
+      'video/x-flv',
+      'video/mp2t'
     ],
-    allowedExtensions: ['.mp4', '.mkv', '.avi', '.mov', '.wmv', '.flv', '.webm']
+    allowedExtensions: ['.mp4', '.mkv', '.avi', '.mov', '.wmv', '.flv', '.webm', '.ts'],
+    // Videos accepted from one album or multi-link message
+    maxBatchSize: parseInt(process.env.MAX_BATCH_SIZE) || 20
+  },
+
+  // Downloading sources
+  downloads: {
+    timeout: 300000, // 5 minutes without a response
+    maxRetries: parseInt(process.env.DOWNLOAD_MAX_RETRIES) || 4,
+    // Doubled after every failed attempt
+    retryDelay: parseInt(process.env.DOWNLOAD_RETRY_DELAY_MS) || 2000,
+    // Which user links may be fetched. Private and internal addresses are
+    // always refused; a non-empty allow list restricts downloads to those
+    // domains and their subdomains.
+    policy: {
+      allowedDomains: process.env.DOWNLOAD_ALLOWED_DOMAINS
+        ? process.env.DOWNLOAD_ALLOWED_DOMAINS.split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean)
+        : [],
+      blockedDomains: process.env.DOWNLOAD_BLOCKED_DOMAINS
+        ? process.env.DOWNLOAD_BLOCKED_DOMAINS.split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean)
+        : [],
+      allowedPorts: process.env.DOWNLOAD_ALLOWED_PORTS
+        ? process.env.DOWNLOAD_ALLOWED_PORTS.split(',').map(port => parseInt(port.trim()))
+        : [80, 443],
+      maxRedirects: 5
+    },
+    // Segments of an HLS stream fetched at the same time
+    hlsConcurrency: parseInt(process.env.HLS_CONCURRENCY) || 4
+  },
+
+  // Security
+  security: {
+    // Secret used to encrypt stored OAuth tokens
+    encryptionKey: process.env.TOKEN_ENCRYPTION_KEY,
+    // Keys being rotated out; still accepted for decryption until migrated
+    previousEncryptionKeys: process.env.TOKEN_ENCRYPTION_OLD_KEYS
+      ? process.env.TOKEN_ENCRYPTION_OLD_KEYS.split(',').map(key => key.trim()).filter(Boolean)
+      : [],
+    // Secret for signing the OAuth state parameter; defaults to the token key
+    stateSecret: process.env.AUTH_STATE_SECRET || process.env.TOKEN_ENCRYPTION_KEY,
+    // How long a Google sign-in link stays valid
+    authStateTtl: (parseInt(process.env.AUTH_STATE_TTL_MINUTES) || 15) * 60 * 1000
+  },
+
+  // Persistent state (sessions, tokens, jobs, upload history)
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'json', // json | sqlite
+    dataDir: process.env.DATA_DIR || './data'
+  },
+
+  // Scheduled publishing
+  scheduling: {
+    // Used until a user picks their own with /timezone
+    defaultTimezone: process.env.DEFAULT_TIMEZONE || 'UTC',
+    // publishAt must leave time for the upload itself to finish
+    minLeadMinutes: parseInt(process.env.SCHEDULE_MIN_LEAD_MINUTES) || 15
+  },
+
+  // Upload job queue
+  jobs: {
+    // Finished jobs are kept this long so /status can still show them
+    keepFinishedHours: parseInt(process.env.JOBS_KEEP_FINISHED_HOURS) || 24
   },
 
   // Logging
@@ -64,7 +160,8 @@ const requiredEnvVars = [
   'TELEGRAM_BOT_TOKEN',
   'GOOGLE_CLIENT_ID',
   'GOOGLE_CLIENT_SECRET',
-  'GOOGLE_REDIRECT_URI'
+  'GOOGLE_REDIRECT_URI',
+  'TOKEN_ENCRYPTION_KEY'
 ];
 
 requiredEnvVars.forEach(envVar => {
@@ -1,16 +1,115 @@
 const axios = require('axios');
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const { promisify } = require('util');
 const stream = require('stream');
 const config = require('./config');
+const { detectVideo, describeContent, readHead } = require('./filetype');
+const urlPolicy = require('./urlpolicy');
+const { isPlaylist, isMasterPlaylist, parseMaster, parseMedia } = require('./hls');
 
 const pipeline = promisify(stream.pipeline);
 
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// "bytes 1000-4999/5000" -> { start: 1000, total: 5000 }
+function parseContentRange(header) {
+  const match = header && header.match(/bytes (\d+)-\d+\/(\d+|\*)/);
+  if (!match) return null;
+  return { start: parseInt(match[1]), total: match[2] === '*' ? null : parseInt(match[2]) };
+}
+
+// The URL policy's refusal, also when the redirect handling wrapped it
+function policyRefusal(error) {
+  for (let cause = error; cause; cause = cause.cause) {
+    if (cause.code === 'EURLPOLICY') return cause;
+  }
+  return null;
+}
+
+// Errors worth another attempt: dropped connections, timeouts, truncated
+// bodies and server-side failures
+function isRetryable(error) {
+  if (policyRefusal(error)) return false;
+  if (error.retryable !== undefined) return error.retryable;
+  const status = error.response?.status;
+  if (!status) return true;
+  return status >= 500 || status === 408 || status === 429;
+}
+
+function hostMatches(url, domains) {
+  try {
+    const hostname = new URL(url).hostname.toLowerCase();
+    return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+  } catch {
+    return false;
+  }
+}
+
 class FileDownloader {
   constructor() {
     this.tempDir = config.files.tempDir;
     this.ensureDirs();
+    
+    // Share links open a landing page rather than the file. A resolver
+    // { name, matches(url), validate(url), resolve(url) } turns a matching
+    // link into { url, fileName } for the file itself; fileName may be null.
+    // The optional validate() runs when the link is received, without any
+    // request, and returns why the link can't be used or null.
+    this.resolvers = [
+      {
+        name: 'Google Drive',
+        matches: (url) => hostMatches(url, ['drive.google.com', 'docs.google.com']),
+        validate: (url) => (this.isGoogleDriveFolder(url) || this.extractGoogleDriveId(url)
+          ? null
+          : 'Invalid Google Drive URL format'),
+        resolve: (url) => this.resolveGoogleDriveLink(url)
+      },
+      {
+        name: 'Dropbox',
+        matches: (url) => hostMatches(url, ['dropbox.com']),
+        validate: (url) => (/^\/(?:sh|scl\/fo)\//.test(new URL(url).pathname)
+          ? 'Dropbox folder links are not supported, share the video file itself'
+          : null),
+        resolve: async (url) => this.resolveDropbox(url)
+      },
+      {
+        name: 'OneDrive',
+        matches: (url) => hostMatches(url, ['1drv.ms', 'onedrive.live.com', 'sharepoint.com']),
+        validate: (url) => (/^\/(?::f:|f)\//.test(new URL(url).pathname)
+          ? 'OneDrive folder links are not supported, share the video file itself'
+          : null),
+        resolve: async (url) => this.resolveOneDrive(url)
+      },
+      {
+        name: 'Telegram',
+        matches: (url) => hostMatches(url, ['t.me', 'telegram.me']),
+        validate: () => 'Bots can\'t download from Telegram post links, forward the message with the video to me instead',
+        resolve: async () => {
+          throw new Error('Telegram post links can\'t be resolved');
+        }
+      }
+    ];
+  }
+
+  // Resolvers registered later are tried first, so they can take over a
+  // host from a built-in one
+  registerResolver(resolver) {
+    this.resolvers.unshift(resolver);
+  }
+
+  findResolver(url) {
+    return this.resolvers.find(resolver => resolver.matches(url)) || null;
+  }
+
+  // Why a link can't be downloaded, as far as that is known without fetching
+  // it; null when it looks fine
+  checkLink(url) {
+    const resolver = this.findResolver(url);
+    return resolver?.validate ? resolver.validate(url) : null;
   }
 
   ensureDirs() {
@@ -24,28 +123,18 @@ class FileDownloader {
       
       console.log(`📥 Downloading Telegram file: ${fileName}`);
       
-      const response = await axios({
-        method: 'GET',
-        url: fileUrl,
-        responseType: 'stream',
-        timeout: 300000, // 5 minutes
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
-
-      const totalLength = response.headers['content-length'];
-      let downloaded = 0;
-
-      response.data.on('data', (chunk) => {
-        downloaded += chunk.length;
-        if (totalLength && onProgress) {
-          const progress = Math.round((downloaded / totalLength) * 100);
-          onProgress(progress);
+      let response = null;
+      
+      // A local Bot API server gives a file:// link to the file on its disk
+      if (fileUrl.startsWith('file:')) {
+        await this.copyLocalFile(decodeURIComponent(new URL(fileUrl).pathname), filePath);
+        if (onProgress) {
+          const size = await this.fileSize(filePath);
+          onProgress(100, size, size);
         }
-      });
-
-      await pipeline(response.data, fs.createWriteStream(filePath));
+      } else {
+        response = await this.fetchToFile(fileUrl, filePath, { onProgress });
+      }
       
       // Verify download
       const stats = await fs.stat(filePath);
@@ -65,7 +154,30 @@ class FileDownloader {
         filePath,
         fileName: path.basename(filePath),
         size: stats.size,
-        mimeType: response.headers['content-type'] || 'video/mp4'
+        mimeType: response?.headers['content-type'] || null
+      };
+    } catch (error) {
+      console.error('❌ Download error:', error.message);
+      return {
+        success: false,
+        error: `Download failed: ${error.message}`
+      };
+    }
+  }
+
+  // Thumbnails and subtitles come through downloadTelegramFile too, so the
+  // container check is only applied to videos
+  async downloadTelegramVideo(fileUrl, fileName, onProgress = null) {
+    const download = await this.downloadTelegramFile(fileUrl, fileName, onProgress);
+    if (!download.success) return download;
+    
+    try {
+      const video = await this.verifyVideo(download.filePath);
+      return {
+        ...download,
+        filePath: video.filePath,
+        fileName: path.basename(video.filePath),
+        mimeType: video.mimeType
       };
     } catch (error) {
       console.error('❌ Download error:', error.message);
@@ -78,48 +190,30 @@ class FileDownloader {
 
   async downloadDirectUrl(url, fileName = null, onProgress = null) {
     try {
-      if (!url.startsWith('http')) {
-        return { success: false, error: 'Invalid URL' };
+      const policyError = urlPolicy.checkUrl(url);
+      if (policyError) {
+        return { success: false, error: policyError };
       }
 
       const filePath = path.join(this.tempDir, fileName || `direct_${Date.now()}.mp4`);
       
       console.log(`🔗 Downloading from URL: ${url}`);
       
-      // First, check if it's a video
-      const headResponse = await axios.head(url, {
-        timeout: 10000
-      }).catch(() => null);
-
-      const contentType = headResponse?.headers['content-type'] || '';
-      if (!contentType.includes('video')) {
-        console.warn('⚠️ Content-Type not video:', contentType);
-      }
-
-      const response = await axios({
-        method: 'GET',
-        url: url,
-        responseType: 'stream',
-        timeout: 300000,
-        maxRedirects: 5,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-          'Accept': 'video/*, */*'
-        }
-      });
-
-      const totalLength = response.headers['content-length'];
-      let downloaded = 0;
-
-      response.data.on('data', (chunk) => {
-        downloaded += chunk.length;
-        if (totalLength && onProgress) {
-          const progress = Math.round((downloaded / totalLength) * 100);
-          onProgress(progress);
-        }
+      const response = await this.fetchToFile(url, filePath, {
+        onProgress,
+        headers: { 'Accept': 'video/*, */*' },
+        requestOptions: urlPolicy.requestOptions()
       });
-
-      await pipeline(response.data, fs.createWriteStream(filePath));
+      
+      // An HLS playlist only lists the video's segments, fetch those instead
+      if (isPlaylist((await readHead(filePath, 64)).toString('utf8'))) {
+        const manifest = await fs.readFile(filePath, 'utf8');
+        await this.downloadHls(response.request?.res?.responseUrl || url, manifest, filePath, onProgress)
+          .catch(async (error) => {
+            await fs.remove(filePath);
+            throw error;
+          });
+      }
       
       const stats = await fs.stat(filePath);
       
@@ -128,12 +222,15 @@ class FileDownloader {
         throw new Error(`File too large: ${(stats.size / 1024 / 1024).toFixed(2)}MB`);
       }
 
+      // Servers mislabel files often enough that only the bytes are trusted
+      const video = await this.verifyVideo(filePath);
+
       return {
         success: true,
-        filePath,
-        fileName: path.basename(filePath),
+        filePath: video.filePath,
+        fileName: path.basename(video.filePath),
         size: stats.size,
-        mimeType: response.headers['content-type'] || 'video/mp4'
+        mimeType: video.mimeType
       };
     } catch (error) {
       console.error('❌ URL download error:', error.message);
@@ -144,48 +241,538 @@ class FileDownloader {
     }
   }
 
-  async downloadGoogleDrive(url, fileName = null, onProgress = null) {
+  // Links with a resolver are turned into the file's own URL first; any
+  // other link is fetched as it is
+  async downloadUrl(url, fileName = null, onProgress = null) {
+    const resolver = this.findResolver(url);
+    if (!resolver) {
+      return this.downloadDirectUrl(url, fileName, onProgress);
+    }
+    
     try {
-      // Extract file ID from Google Drive URL
-      let fileId = null;
-      const urlPatterns = [
-        /\/d\/([^\/]+)/,
-        /id=([^&]+)/,
-        /\/file\/d\/([^\/]+)/,
-        /drive\.google\.com\/open\?id=([^&]+)/
-      ];
-
-      for (const pattern of urlPatterns) {
-        const match = url.match(pattern);
-        if (match && match[1]) {
-          fileId = match[1];
-          break;
-        }
+      // Links queued before a check existed still get it here
+      const problem = resolver.validate ? resolver.validate(url) : null;
+      if (problem) {
+        throw new Error(problem);
+      }
+      
+      console.log(`🔎 Resolving ${resolver.name} link: ${url}`);
+      const resolved = await resolver.resolve(url);
+      
+      // The real name's extension is a better first guess than the caller's;
+      // the container check still has the last word
+      const realExtension = resolved.fileName ? this.getFileExtension(resolved.fileName) : '';
+      if (fileName && config.files.allowedExtensions.includes(realExtension)) {
+        fileName = fileName.slice(0, fileName.length - path.extname(fileName).length) + realExtension;
+      }
+      
+      const result = await this.downloadDirectUrl(resolved.url, fileName, onProgress);
+      return { ...result, originalName: resolved.fileName || null };
+    } catch (error) {
+      console.error(`❌ ${resolver.name} error:`, error.message);
+      return {
+        success: false,
+        error: `${resolver.name} download failed: ${error.message}`
+      };
+    }
+  }
+
+  async resolveGoogleDriveLink(url) {
+    if (this.isGoogleDriveFolder(url)) {
+      throw new Error('Folder links are expanded into their videos before downloading');
+    }
+    
+    return this.resolveGoogleDrive(this.extractGoogleDriveId(url));
+  }
+
+  // dl=1 makes Dropbox redirect to the file instead of its preview page
+  resolveDropbox(url) {
+    const parsed = new URL(url);
+    
+    parsed.searchParams.delete('raw');
+    parsed.searchParams.set('dl', '1');
+    
+    const lastSegment = parsed.pathname.split('/').filter(Boolean).pop() || '';
+    let fileName = null;
+    try {
+      fileName = decodeURIComponent(lastSegment) || null;
+    } catch {
+      // Keep the name from Content-Disposition instead
+    }
+    return { url: parsed.toString(), fileName };
+  }
+
+  // SharePoint links download with download=1. Personal OneDrive links go
+  // through the shares API, which takes the link itself encoded as u!<base64url>.
+  resolveOneDrive(url) {
+    const parsed = new URL(url);
+    
+    if (parsed.hostname.toLowerCase().endsWith('sharepoint.com')) {
+      parsed.searchParams.set('download', '1');
+      return { url: parsed.toString(), fileName: null };
+    }
+    
+    const token = Buffer.from(url).toString('base64url');
+    return { url: `https://api.onedrive.com/v1.0/shares/u!${token}/root/content`, fileName: null };
+  }
+
+  extractGoogleDriveId(url) {
+    const urlPatterns = [
+      /\/file\/d\/([^\/?#]+)/,
+      /\/d\/([^\/?#]+)/,
+      /[?&]id=([^&#]+)/
+    ];
+    
+    for (const pattern of urlPatterns) {
+      const match = url.match(pattern);
+      if (match && match[1]) return match[1];
+    }
+    return null;
+  }
+
+  isGoogleDriveFolder(url) {
+    return /drive\.google\.com\/(?:drive\/(?:u\/\d+\/)?)?folders\//.test(url);
+  }
+
+  // Finds the URL that serves the file itself. Drive answers files it can't
+  // virus-scan (roughly >100MB) with an HTML warning page; the download is
+  // behind the form or confirm token on that page. Private and over-quota
+  // files also come back as HTML and are reported as such.
+  async resolveGoogleDrive(fileId) {
+    let url = `https://drive.google.com/uc?export=download&id=${fileId}`;
+    
+    for (let step = 0; step < 3; step++) {
+      const response = await axios.get(url, {
+        responseType: 'stream',
+        timeout: config.downloads.timeout,
+        ...urlPolicy.requestOptions(),
+        headers: { 'User-Agent': USER_AGENT },
+        validateStatus: () => true
+      });
+      
+      const contentType = response.headers['content-type'] || '';
+      if (response.status < 400 && !contentType.includes('text/html')) {
+        response.data.destroy();
+        return {
+          url: response.request?.res?.responseUrl || url,
+          fileName: this.parseContentDisposition(response.headers['content-disposition'])
+        };
       }
+      
+      const html = await this.readText(response.data, 1024 * 1024);
+      
+      if (response.status === 404) {
+        throw new Error('File not found, check that the link is complete');
+      }
+      if (response.status === 401 || response.status === 403 || /accounts\.google\.com\/(?:ServiceLogin|v3\/signin)/.test(html)) {
+        throw new Error('This file is private. Share it as "Anyone with the link" and send the link again');
+      }
+      if (/quota|Too many users have viewed or downloaded this file/i.test(html)) {
+        throw new Error('Google Drive\'s download quota for this file is exceeded, try again in 24 hours or make a copy of the file');
+      }
+      
+      const next = this.parseDriveConfirmation(html, fileId);
+      if (!next) {
+        throw new Error('Google Drive returned a web page instead of the file');
+      }
+      url = next;
+    }
+    
+    throw new Error('Google Drive kept asking for confirmation');
+  }
 
-      if (!fileId) {
-        return { success: false, error: 'Invalid Google Drive URL format' };
+  // The warning page has a download form (current Drive) or a link with a
+  // confirm token (older pages)
+  parseDriveConfirmation(html, fileId) {
+    const form = html.match(/<form[^>]*id="download-form"[^>]*action="([^"]+)"[^>]*>([\s\S]*?)<\/form>/);
+    if (form) {
+      const params = new URLSearchParams();
+      for (const input of form[2].matchAll(/<input[^>]*type="hidden"[^>]*>/g)) {
+        const name = input[0].match(/name="([^"]+)"/);
+        const value = input[0].match(/value="([^"]*)"/);
+        if (name) params.set(name[1], value ? value[1] : '');
       }
+      return `${form[1].replace(/&amp;/g, '&')}?${params}`;
+    }
+    
+    const token = html.match(/confirm=([0-9A-Za-z_-]+)/);
+    if (token) {
+      return `https://drive.google.com/uc?export=download&confirm=${token[1]}&id=${fileId}`;
+    }
+    return null;
+  }
 
-      // Use direct download link
-      const downloadUrl = `https://drive.google.com/uc?export=download&id=${fileId}`;
+  // Video files directly inside a publicly shared folder, read from Drive's
+  // embeddable folder view (no API key needed). Subfolders are not entered.
+  async listGoogleDriveFolder(url) {
+    try {
+      const folderId = url.match(/folders\/([^\/?#]+)/)?.[1];
+      if (!folderId) {
+        return { success: false, error: 'Invalid Google Drive folder URL' };
+      }
       
-      console.log(`☁️ Downloading Google Drive file ID: ${fileId}`);
+      const response = await axios.get(`https://drive.google.com/embeddedfolderview?id=${folderId}`, {
+        timeout: 30000,
+        ...urlPolicy.requestOptions(),
+        headers: { 'User-Agent': USER_AGENT },
+        validateStatus: () => true
+      });
       
-      return await this.downloadDirectUrl(
-        downloadUrl, 
-        fileName || `gdrive_${Date.now()}.mp4`, 
-        onProgress
-      );
+      if (response.status === 404) {
+        throw new Error('Folder not found, check that the link is complete');
+      }
+      if (response.status >= 400 || /accounts\.google\.com\/(?:ServiceLogin|v3\/signin)/.test(response.data)) {
+        throw new Error('This folder is private. Share it as "Anyone with the link" and send the link again');
+      }
+      
+      const files = [];
+      for (const entry of String(response.data).matchAll(/id="entry-([\w-]+)"[\s\S]*?class="flip-entry-title">([^<]*)</g)) {
+        const name = entry[2]
+          .replace(/&amp;/g, '&')
+          .replace(/&#39;/g, '\'')
+          .replace(/&quot;/g, '"');
+        if (config.files.allowedExtensions.includes(this.getFileExtension(name))) {
+          files.push({ id: entry[1], name });
+        }
+      }
+      
+      return { success: true, files };
     } catch (error) {
-      console.error('❌ Google Drive error:', error);
+      console.error('❌ Google Drive folder error:', error.message);
       return {
         success: false,
-        error: `Google Drive download failed: ${error.message}`
+        error: `Google Drive folder listing failed: ${error.message}`
       };
     }
   }
 
+  // filename*=UTF-8''My%20Video.mp4 wins over filename="My Video.mp4"
+  parseContentDisposition(header) {
+    if (!header) return null;
+    
+    const extended = header.match(/filename\*\s*=\s*[^']*''([^;]+)/i);
+    if (extended) {
+      try {
+        return decodeURIComponent(extended[1].trim());
+      } catch {
+        // Fall through to the plain parameter
+      }
+    }
+    
+    const plain = header.match(/filename\s*=\s*"([^"]*)"|filename\s*=\s*([^;]+)/i);
+    return plain ? (plain[1] || plain[2]).trim() : null;
+  }
+
+  async readText(readable, maxBytes) {
+    const chunks = [];
+    let length = 0;
+    
+    for await (const chunk of readable) {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= maxBytes) {
+        readable.destroy();
+        break;
+      }
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  // Downloads the segments of an HLS stream into `filePath`, replacing the
+  // playlist saved there. Segments are fetched concurrently into part files
+  // and joined in order; MPEG-TS segments make a .ts file and fMP4 segments
+  // (with their initialization section) an .mp4.
+  async downloadHls(playlistUrl, manifest, filePath, onProgress = null) {
+    let url = playlistUrl;
+    let text = manifest;
+    
+    if (isMasterPlaylist(text)) {
+      const variant = parseMaster(text, url).variants[0];
+      if (!variant) {
+        throw new Error('The HLS playlist lists no streams');
+      }
+      if (variant.separateAudio) {
+        throw new Error('HLS streams with audio in a separate track are not supported');
+      }
+      
+      console.log(`📺 HLS variant: ${variant.resolution || 'unknown resolution'}, ${Math.round(variant.bandwidth / 1000)} kbps`);
+      url = variant.url;
+      text = (await this.fetchBuffer(url)).toString('utf8');
+    }
+    
+    const { segments, map, live, unsupported } = parseMedia(text, url);
+    if (unsupported) {
+      throw new Error(unsupported);
+    }
+    if (live) {
+      throw new Error('Live HLS streams can\'t be downloaded, only finished ones');
+    }
+    if (segments.length === 0) {
+      throw new Error('The HLS playlist has no segments');
+    }
+    
+    console.log(`📺 Downloading ${segments.length} HLS segments`);
+    
+    // Each key is fetched once, however many segments use it
+    const keys = new Map();
+    const getKey = (uri) => {
+      if (!keys.has(uri)) keys.set(uri, this.fetchBuffer(uri));
+      return keys.get(uri);
+    };
+    
+    const partPath = (index) => `${filePath}.part${index}`;
+    let downloaded = 0;
+    let completed = 0;
+    let next = 0;
+    let failed = false;
+    
+    const fetchSegment = async (index) => {
+      const segment = segments[index];
+      let data = await this.fetchBuffer(segment.url, { byteRange: segment.byteRange });
+      
+      if (segment.key) {
+        const key = await getKey(segment.key.uri);
+        if (key.length !== 16) {
+          throw new Error('The HLS stream has an invalid AES-128 key');
+        }
+        try {
+          const decipher = crypto.createDecipheriv('aes-128-cbc', key, segment.key.iv);
+          data = Buffer.concat([decipher.update(data), decipher.final()]);
+        } catch {
+          throw new Error(`Could not decrypt HLS segment ${index + 1}`);
+        }
+      }
+      
+      downloaded += data.length;
+      if (downloaded > config.files.maxSize) {
+        throw new Error(`File too large: over ${config.files.maxSize / 1024 / 1024}MB`);
+      }
+      
+      await fs.writeFile(partPath(index), data);
+      completed++;
+      // The total size is only known at the end, so progress counts segments
+      if (onProgress) {
+        onProgress(Math.round((completed / segments.length) * 100), downloaded, null);
+      }
+    };
+    
+    const worker = async () => {
+      while (next < segments.length && !failed) {
+        const index = next++;
+        try {
+          await fetchSegment(index);
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    };
+    
+    try {
+      const workers = Array.from({ length: Math.min(config.downloads.hlsConcurrency, segments.length) }, worker);
+      const results = await Promise.allSettled(workers);
+      const rejected = results.find(result => result.status === 'rejected');
+      if (rejected) throw rejected.reason;
+      
+      await fs.writeFile(filePath, map ? await this.fetchBuffer(map.url, { byteRange: map.byteRange }) : Buffer.alloc(0));
+      for (let index = 0; index < segments.length; index++) {
+        await fs.appendFile(filePath, await fs.readFile(partPath(index)));
+        await fs.remove(partPath(index));
+      }
+    } finally {
+      await Promise.all(segments.map((segment, index) => fs.remove(partPath(index))));
+    }
+  }
+
+  // GET a playlist, key or segment into memory, retrying like fetchToFile.
+  // Every URL comes from a playlist, so each one is checked against the policy.
+  async fetchBuffer(url, { byteRange = null } = {}) {
+    const { maxRetries, retryDelay, timeout } = config.downloads;
+    urlPolicy.assertAllowed(url);
+    
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const headers = { 'User-Agent': USER_AGENT };
+        if (byteRange) {
+          headers['Range'] = `bytes=${byteRange.offset}-${byteRange.offset + byteRange.length - 1}`;
+        }
+        
+        const response = await axios.get(url, {
+          responseType: 'arraybuffer',
+          timeout,
+          maxContentLength: config.files.maxSize,
+          ...urlPolicy.requestOptions(),
+          headers
+        });
+        return Buffer.from(response.data);
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= maxRetries) {
+          throw policyRefusal(error) || error;
+        }
+        
+        const delay = retryDelay * 2 ** attempt;
+        console.warn(`⚠️ Fetching ${path.basename(new URL(url).pathname)} failed (${error.message}), retry ${attempt + 1}/${maxRetries} in ${delay / 1000}s`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // GET `url` into `filePath`, retrying with exponential backoff. When the
+  // server accepts byte ranges a retry continues where the previous attempt
+  // stopped; If-Range with the first response's ETag (or Last-Modified)
+  // makes sure the pieces come from the same version of the file. The
+  // result is checked against content-length, so a truncated file is never
+  // returned. Resolves with the first full response (for its headers).
+  async fetchToFile(url, filePath, { headers = {}, onProgress = null, requestOptions = {} } = {}) {
+    const { maxRetries, retryDelay, timeout } = config.downloads;
+
+    let firstResponse = null;
+    let total = null;
+    let validator = null;
+    let resumable = false;
+
+    for (let attempt = 0; ; attempt++) {
+      let offset = resumable ? await this.fileSize(filePath) : 0;
+
+      try {
+        const requestHeaders = { 'User-Agent': USER_AGENT, ...headers };
+        if (offset > 0) {
+          requestHeaders['Range'] = `bytes=${offset}-`;
+          if (validator) requestHeaders['If-Range'] = validator;
+        }
+
+        const response = await axios({
+          method: 'GET',
+          url,
+          responseType: 'stream',
+          timeout,
+          maxRedirects: 5,
+          ...requestOptions,
+          headers: requestHeaders
+        });
+
+        if (offset > 0 && response.status === 206) {
+          const range = parseContentRange(response.headers['content-range']);
+          const etag = response.headers.etag;
+
+          if (!range || range.start !== offset || (validator?.startsWith('"') && etag && etag !== validator)) {
+            response.data.destroy();
+            resumable = false;
+            throw new Error('Server could not resume the download where it stopped');
+          }
+          console.log(`🔁 Resuming download at ${(offset / 1024 / 1024).toFixed(2)}MB`);
+        } else {
+          // A fresh start: the first attempt, or the server sent the whole
+          // file again (no range support, or it changed in between)
+          offset = 0;
+          firstResponse = firstResponse || response;
+          total = parseInt(response.headers['content-length']) || null;
+
+          // Weak ETags can't be used with If-Range
+          const etag = response.headers.etag;
+          validator = (etag && !etag.startsWith('W/') ? etag : null) || response.headers['last-modified'] || null;
+          resumable = response.headers['accept-ranges'] === 'bytes' && total !== null;
+
+          if (total !== null && total > config.files.maxSize) {
+            response.data.destroy();
+            const error = new Error(`File too large: ${(total / 1024 / 1024).toFixed(2)}MB (max: ${config.files.maxSize / 1024 / 1024}MB)`);
+            error.retryable = false;
+            throw error;
+          }
+        }
+
+        this.trackProgress(response, onProgress, offset, total);
+        await pipeline(response.data, fs.createWriteStream(filePath, { flags: offset > 0 ? 'a' : 'w' }));
+
+        const size = await this.fileSize(filePath);
+        if (total !== null && size !== total) {
+          throw new Error(`Download incomplete: got ${size} of ${total} bytes`);
+        }
+
+        return firstResponse;
+      } catch (error) {
+        // Asked for a range the server can't serve, start over
+        if (error.response?.status === 416) {
+          resumable = false;
+          error.retryable = true;
+        }
+
+        if (!isRetryable(error) || attempt >= maxRetries) {
+          await fs.remove(filePath);
+          throw policyRefusal(error) || error;
+        }
+
+        const delay = retryDelay * 2 ** attempt;
+        console.warn(`⚠️ Download interrupted (${error.message}), retry ${attempt + 1}/${maxRetries} in ${delay / 1000}s`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Hard-linked when the Bot API server's files are on the same filesystem,
+  // so even 2GB videos take no extra space; copied otherwise. The original
+  // belongs to the server and is never moved or removed.
+  async copyLocalFile(sourcePath, filePath) {
+    await fs.remove(filePath);
+    try {
+      await fs.link(sourcePath, filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('File not found on the local Bot API server\'s disk, is its directory shared with the bot?');
+      }
+      await fs.copy(sourcePath, filePath);
+    }
+  }
+
+  async fileSize(filePath) {
+    try {
+      return (await fs.stat(filePath)).size;
+    } catch {
+      return 0;
+    }
+  }
+
+  // Shared by every download method. Calls onProgress(percent, downloaded,
+  // total); percent and total are null when the server sends no
+  // content-length, so callers can fall back to a byte count. A resumed
+  // download starts counting at `offset` of `total`.
+  trackProgress(response, onProgress, offset = 0, total = null) {
+    if (!onProgress) return;
+
+    const totalLength = total || parseInt(response.headers['content-length']) || null;
+    let downloaded = offset;
+
+    response.data.on('data', (chunk) => {
+      downloaded += chunk.length;
+      const progress = totalLength ? Math.round((downloaded / totalLength) * 100) : null;
+      onProgress(progress, downloaded, totalLength);
+    });
+  }
+
+  // Checks the container signature of a finished download. Error pages and
+  // login walls are removed with an explanation; real videos are renamed to
+  // the extension of their actual container. Returns { filePath, mimeType }.
+  async verifyVideo(filePath) {
+    const head = await readHead(filePath, 4096);
+    const video = detectVideo(head);
+    
+    if (!video) {
+      await fs.remove(filePath);
+      const content = describeContent(head);
+      throw new Error(content
+        ? `Got ${content} instead of a video. The link may be private, expired or pointing at a download page`
+        : `Not a supported video file (supported: ${config.files.allowedExtensions.join(', ')})`);
+    }
+    
+    if (this.getFileExtension(filePath) === video.extension) {
+      return { filePath, mimeType: video.mimeType };
+    }
+    
+    const renamed = filePath.slice(0, filePath.length - path.extname(filePath).length) + video.extension;
+    await fs.move(filePath, renamed, { overwrite: true });
+    return { filePath: renamed, mimeType: video.mimeType };
+  }
+
   isValidExtension(filename) {
     const ext = path.extname(filename).toLowerCase();
     return config.files.allowedExtensions.includes(ext);
@@ -206,6 +793,24 @@ class FileDownloader {
     }
   }
 
+  // Remove every temp file that isn't in keepPaths (e.g. left by a crash)
+  async cleanupExcept(keepPaths = []) {
+    try {
+      const keep = new Set(keepPaths.map(p => path.resolve(p)));
+      const files = await fs.readdir(this.tempDir);
+
+      for (const file of files) {
+        const filePath = path.join(this.tempDir, file);
+        if (!keep.has(path.resolve(filePath))) {
+          await fs.remove(filePath);
+          console.log(`🧹 Removed orphaned file: ${file}`);
+        }
+      }
+    } catch (error) {
+      console.error('Cleanup orphaned files error:', error);
+    }
+  }
+
   async cleanupOldFiles(maxAgeHours = 24) {
     try {
       const files = await fs.readdir(this.tempDir);
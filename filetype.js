@@ -0,0 +1,153 @@
+const fs = require('fs-extra');
+
+// Identify an image from its leading bytes rather than trusting a name or a
+// Content-Type header. Returns { type, mimeType, width, height } or null;
+// width and height are null when they can't be read from the buffer.
+function detectImage(buffer) {
+  // PNG: signature, then the IHDR chunk holds the dimensions
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return {
+      type: 'png',
+      mimeType: 'image/png',
+      width: buffer.readUInt32BE(16),
+      height: buffer.readUInt32BE(20)
+    };
+  }
+
+  // JPEG: walk the markers until a start-of-frame segment
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    const info = { type: 'jpeg', mimeType: 'image/jpeg', width: null, height: null };
+    let offset = 2;
+
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) break;
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+
+      // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        info.height = buffer.readUInt16BE(offset + 5);
+        info.width = buffer.readUInt16BE(offset + 7);
+        break;
+      }
+      offset += 2 + length;
+    }
+    return info;
+  }
+
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return {
+      type: 'gif',
+      mimeType: 'image/gif',
+      width: buffer.readUInt16LE(6),
+      height: buffer.readUInt16LE(8)
+    };
+  }
+
+  if (buffer.length >= 26 && buffer.toString('ascii', 0, 2) === 'BM') {
+    return {
+      type: 'bmp',
+      mimeType: 'image/bmp',
+      width: buffer.readInt32LE(18),
+      height: Math.abs(buffer.readInt32LE(22))
+    };
+  }
+
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return { type: 'webp', mimeType: 'image/webp', width: null, height: null };
+  }
+
+  return null;
+}
+
+// ASF (WMV/WMA) header object GUID
+const ASF_GUID = Buffer.from('3026b2758e66cf11a6d900aa0062ce6c', 'hex');
+
+// Top-level QuickTime atoms that can open a .mov written without ftyp
+const QUICKTIME_ATOMS = ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+
+// Identify a video container from its leading bytes. Returns
+// { type, extension, mimeType } or null.
+function detectVideo(buffer) {
+  // ISO base media: a box size, then "ftyp" and the major brand
+  if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12);
+    return brand === 'qt  '
+      ? { type: 'mov', extension: '.mov', mimeType: 'video/quicktime' }
+      : { type: 'mp4', extension: '.mp4', mimeType: 'video/mp4' };
+  }
+  if (buffer.length >= 8 && QUICKTIME_ATOMS.includes(buffer.toString('ascii', 4, 8))) {
+    return { type: 'mov', extension: '.mov', mimeType: 'video/quicktime' };
+  }
+
+  // EBML: WebM is Matroska with a "webm" DocType in the header
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    return buffer.subarray(0, 64).includes('webm')
+      ? { type: 'webm', extension: '.webm', mimeType: 'video/webm' }
+      : { type: 'mkv', extension: '.mkv', mimeType: 'video/x-matroska' };
+  }
+
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'AVI ') {
+    return { type: 'avi', extension: '.avi', mimeType: 'video/x-msvideo' };
+  }
+
+  if (buffer.length >= 4 && buffer.toString('ascii', 0, 3) === 'FLV' && buffer[3] === 0x01) {
+    return { type: 'flv', extension: '.flv', mimeType: 'video/x-flv' };
+  }
+
+  if (buffer.length >= 16 && buffer.subarray(0, 16).equals(ASF_GUID)) {
+    return { type: 'wmv', extension: '.wmv', mimeType: 'video/x-ms-wmv' };
+  }
+
+  // MPEG-TS has no header, only a sync byte every 188-byte packet
+  if (buffer.length >= 377 && buffer[0] === 0x47 && buffer[188] === 0x47 && buffer[376] === 0x47) {
+    return { type: 'ts', extension: '.ts', mimeType: 'video/mp2t' };
+  }
+
+  return null;
+}
+
+// A short name for what a non-video payload looks like, for error messages
+function describeContent(buffer) {
+  if (buffer.length === 0) return 'an empty file';
+  if (detectImage(buffer)) return 'an image';
+
+  const text = buffer.subarray(0, 512).toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+  if (text.startsWith('<!doctype html') || text.startsWith('<html') || /<(head|body|script|title)[\s>]/.test(text)) {
+    return 'a web page';
+  }
+  if (text.startsWith('{') || text.startsWith('[')) return 'a JSON response';
+  if (text.startsWith('<?xml') || text.startsWith('<')) return 'an XML document';
+  if (buffer.toString('ascii', 0, 4) === '%PDF') return 'a PDF document';
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x504b0304) return 'a ZIP archive';
+  return null;
+}
+
+async function readHead(filePath, length) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await fs.read(handle, buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await fs.close(handle);
+  }
+}
+
+// JPEG frame headers can sit behind large EXIF blocks, so read generously
+async function detectImageFile(filePath) {
+  return detectImage(await readHead(filePath, 256 * 1024));
+}
+
+async function detectVideoFile(filePath) {
+  return detectVideo(await readHead(filePath, 4096));
+}
+
+module.exports = {
+  detectImage,
+  detectImageFile,
+  detectVideo,
+  detectVideoFile,
+  describeContent,
+  readHead
+};
@@ -0,0 +1,44 @@
+const { getStorage } = require('./storage');
+
+const NAMESPACE = 'uploads';
+
+// Record of every video the bot has put on YouTube, keyed by video ID
+class UploadHistory {
+  constructor() {
+    this.storage = getStorage();
+  }
+
+  async add(userId, record) {
+    const entry = {
+      ...record,
+      userId,
+      uploadedAt: new Date().toISOString()
+    };
+    await this.storage.set(NAMESPACE, record.videoId, entry);
+    return entry;
+  }
+
+  async get(videoId) {
+    return this.storage.get(NAMESPACE, videoId);
+  }
+
+  async update(videoId, changes) {
+    return this.storage.update(NAMESPACE, videoId, (entry) => (
+      entry ? { ...entry, ...changes } : undefined
+    ));
+  }
+
+  // Newest first
+  async list(userId) {
+    return (await this.storage.entries(NAMESPACE))
+      .map(([, entry]) => entry)
+      .filter(entry => entry.userId === userId)
+      .sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+  }
+
+  async count() {
+    return (await this.storage.keys(NAMESPACE)).length;
+  }
+}
+
+module.exports = UploadHistory;
@@ -0,0 +1,137 @@
+// HLS playlists (RFC 8216). A master playlist lists variants of the same
+// video; a media playlist lists the segments of one variant, with the keys
+// needed to decrypt them.
+
+function isPlaylist(text) {
+  return text.replace(/^\uFEFF/, '').trimStart().startsWith('#EXTM3U');
+}
+
+// KEY=value,KEY="value, with commas",...
+function parseAttributes(text) {
+  const attributes = {};
+  for (const match of text.matchAll(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g)) {
+    attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+  return attributes;
+}
+
+// "1000@2000" -> { length: 1000, offset: 2000 }; without an offset the range
+// continues where the previous one of the same resource ended
+function parseByteRange(text, previous) {
+  const [length, offset] = text.split('@').map(Number);
+  return { length, offset: offset !== undefined && !isNaN(offset) ? offset : (previous ? previous.offset + previous.length : 0) };
+}
+
+function sequenceIv(sequence) {
+  const iv = Buffer.alloc(16);
+  iv.writeBigUInt64BE(BigInt(sequence), 8);
+  return iv;
+}
+
+function lines(text) {
+  return text.replace(/\r\n?/g, '\n').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+// Returns { variants: [{ url, bandwidth, resolution, audioGroup,
+// separateAudio }] } with the variants ordered best first
+function parseMaster(text, baseUrl) {
+  const variants = [];
+  const audioWithUri = new Set();
+  let pending = null;
+
+  for (const line of lines(text)) {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const attributes = parseAttributes(line.slice(18));
+      pending = {
+        bandwidth: parseInt(attributes['AVERAGE-BANDWIDTH'] || attributes.BANDWIDTH) || 0,
+        resolution: attributes.RESOLUTION || null,
+        audioGroup: attributes.AUDIO || null
+      };
+    } else if (line.startsWith('#EXT-X-MEDIA:')) {
+      const attributes = parseAttributes(line.slice(13));
+      if (attributes.TYPE === 'AUDIO' && attributes.URI) audioWithUri.add(attributes['GROUP-ID']);
+    } else if (!line.startsWith('#') && pending) {
+      variants.push({ ...pending, url: new URL(line, baseUrl).toString() });
+      pending = null;
+    }
+  }
+
+  // Audio in a separate rendition would need muxing, so variants carrying
+  // their own audio come first
+  for (const variant of variants) {
+    variant.separateAudio = audioWithUri.has(variant.audioGroup);
+  }
+  variants.sort((a, b) => (a.separateAudio - b.separateAudio) || (b.bandwidth - a.bandwidth));
+
+  return { variants };
+}
+
+// Returns { segments, map, live, unsupported }. Every segment has { url,
+// duration, byteRange, key } where key is null or { uri, iv }; map is the
+// fMP4 initialization section, if any, and unsupported explains why the
+// playlist can't be downloaded.
+function parseMedia(text, baseUrl) {
+  const segments = [];
+  let sequence = 0;
+  let key = null;
+  let map = null;
+  let duration = 0;
+  let byteRange = null;
+  let lastRange = null;
+  let ended = false;
+  let unsupported = null;
+
+  for (const line of lines(text)) {
+    if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      sequence = parseInt(line.slice(22)) || 0;
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      const attributes = parseAttributes(line.slice(11));
+      if (attributes.METHOD === 'NONE') {
+        key = null;
+      } else if (attributes.METHOD === 'AES-128') {
+        key = {
+          uri: new URL(attributes.URI, baseUrl).toString(),
+          iv: attributes.IV ? Buffer.from(attributes.IV.replace(/^0x/i, '').padStart(32, '0'), 'hex') : null
+        };
+      } else {
+        unsupported = `${attributes.METHOD} encryption is not supported`;
+      }
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const attributes = parseAttributes(line.slice(11));
+      map = {
+        url: new URL(attributes.URI, baseUrl).toString(),
+        byteRange: attributes.BYTERANGE ? parseByteRange(attributes.BYTERANGE, null) : null
+      };
+    } else if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice(8)) || 0;
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      byteRange = parseByteRange(line.slice(17), lastRange);
+    } else if (line === '#EXT-X-ENDLIST') {
+      ended = true;
+    } else if (!line.startsWith('#')) {
+      segments.push({
+        url: new URL(line, baseUrl).toString(),
+        duration,
+        byteRange,
+        // Without an IV the media sequence number is used
+        key: key && { uri: key.uri, iv: key.iv || sequenceIv(sequence + segments.length) }
+      });
+      lastRange = byteRange;
+      byteRange = null;
+      duration = 0;
+    }
+  }
+
+  return { segments, map, live: !ended, unsupported };
+}
+
+function isMasterPlaylist(text) {
+  return /^#EXT-X-STREAM-INF:/m.test(text);
+}
+
+module.exports = {
+  isPlaylist,
+  isMasterPlaylist,
+  parseMaster,
+  parseMedia
+};
@@ -0,0 +1,224 @@
+// Video details written out in one message, for uploads that skip the
+// wizard. A caption looks like:
+//
+//   Title on the first line
+//   Any other lines become the description
+//   #tags #on #their #own #line
+//   privacy: unlisted
+//   category: Gaming
+//   playlist: Season 2, Highlights
+//   schedule: tomorrow 18:00
+//   preset: weekly
+//
+// Only the directives below are recognised, so a description line such as
+// "Note: ..." is left alone.
+
+const DIRECTIVES = ['title', 'description', 'tags', 'privacy', 'category', 'playlist', 'playlists', 'schedule', 'preset'];
+
+const HASHTAG_LINE = /^(?:#[\p{L}\p{N}_-]+\s*)+$/u;
+
+// Returns { title, description, tags, privacy, category, playlists, schedule, preset };
+// fields that were not given are undefined
+function parseCaption(text) {
+  const parsed = {};
+  const tags = [];
+  const lines = [];
+
+  for (const line of (text || '').replace(/\r\n?/g, '\n').split('\n')) {
+    const trimmed = line.trim();
+    const directive = trimmed.match(/^([a-z]+)\s*:\s*(.*)$/i);
+
+    if (directive && DIRECTIVES.includes(directive[1].toLowerCase())) {
+      const key = directive[1].toLowerCase();
+      const value = directive[2].trim();
+
+      if (key === 'tags') {
+        tags.push(...value.split(',').map(tag => tag.trim().replace(/^#/, '')).filter(Boolean));
+      } else if (key === 'playlist' || key === 'playlists') {
+        parsed.playlists = value.split(',').map(name => name.trim()).filter(Boolean);
+      } else {
+        parsed[key] = value;
+      }
+    } else if (HASHTAG_LINE.test(trimmed)) {
+      tags.push(...trimmed.split(/\s+/).map(tag => tag.substring(1)));
+    } else {
+      lines.push(line);
+    }
+  }
+
+  // Without a title: directive, the first line of text is the title
+  if (parsed.title === undefined) {
+    while (lines.length > 0 && !lines[0].trim()) lines.shift();
+    if (lines.length > 0) parsed.title = lines.shift().trim();
+  }
+
+  if (parsed.description === undefined) {
+    const description = lines.join('\n').trim();
+    if (description) parsed.description = description;
+  }
+
+  if (tags.length > 0) {
+    parsed.tags = tags.join(', ');
+  }
+  if (parsed.privacy) {
+    parsed.privacy = parsed.privacy.toLowerCase();
+  }
+
+  return parsed;
+}
+
+// Whether the text uses any directive line, which marks a caption written
+// for the bot rather than one carried over from a forwarded message
+function hasDirectives(text) {
+  return (text || '').split(/\r?\n/).some((line) => {
+    const directive = line.trim().match(/^([a-z]+)\s*:/i);
+    return Boolean(directive) && DIRECTIVES.includes(directive[1].toLowerCase());
+  });
+}
+
+// YouTube's limits. Descriptions are measured in bytes; in the tag total,
+// tags with spaces count their surrounding quotes and every separating
+// comma counts too.
+const LIMITS = {
+  titleLength: 100,
+  descriptionBytes: 5000,
+  tagsLength: 500
+};
+
+const ANGLE_BRACKETS = /[<>]/;
+const ANGLE_BRACKETS_GLOBAL = /[<>]/g;
+
+// Each validator returns { valid: true, value, fixes } with the cleaned-up
+// value and a note per automatic fix, or { valid: false, error }.
+
+// batchSize: titles containing {n} are measured with the largest number
+function validateTitle(text, { batchSize = null } = {}) {
+  const fixes = [];
+  let value = text.trim();
+
+  if (/\s*\n\s*/.test(value)) {
+    value = value.replace(/\s*\n\s*/g, ' ');
+    fixes.push('joined the title onto one line');
+  }
+
+  if (!value) {
+    return { valid: false, error: 'The title can\'t be empty.' };
+  }
+  if (ANGLE_BRACKETS.test(value)) {
+    return { valid: false, error: 'YouTube doesn\'t allow < or > in titles.' };
+  }
+
+  const longest = batchSize ? value.replace(/\{n\}/g, batchSize) : value;
+  if (longest.length > LIMITS.titleLength) {
+    return {
+      valid: false,
+      error: `The title is ${longest.length} characters long, YouTube allows ${LIMITS.titleLength}.`
+    };
+  }
+
+  return { valid: true, value, fixes };
+}
+
+function validateDescription(text) {
+  const value = text.trim();
+
+  if (ANGLE_BRACKETS.test(value)) {
+    return { valid: false, error: 'YouTube doesn\'t allow < or > in descriptions.' };
+  }
+
+  const bytes = Buffer.byteLength(value, 'utf8');
+  if (bytes > LIMITS.descriptionBytes) {
+    return {
+      valid: false,
+      error: `The description is ${bytes} bytes long, YouTube allows ${LIMITS.descriptionBytes} ` +
+        '(emoji and non-Latin letters take more than one byte each).'
+    };
+  }
+
+  return { valid: true, value, fixes: [] };
+}
+
+function tagsLength(tags) {
+  const characters = tags.reduce((sum, tag) => sum + tag.length + (tag.includes(' ') ? 2 : 0), 0);
+  return characters + Math.max(0, tags.length - 1);
+}
+
+// Takes the comma-separated list the user typed and returns it normalised
+function validateTags(text) {
+  const fixes = [];
+  const tags = [];
+  const seen = new Set();
+  let duplicates = 0;
+
+  for (const raw of text.split(',')) {
+    const tag = raw.trim().replace(/^#/, '').replace(/\s+/g, ' ');
+    if (!tag) continue;
+
+    if (seen.has(tag.toLowerCase())) {
+      duplicates++;
+      continue;
+    }
+    seen.add(tag.toLowerCase());
+    tags.push(tag);
+  }
+
+  if (duplicates > 0) {
+    fixes.push(`removed ${duplicates} duplicate tag${duplicates > 1 ? 's' : ''}`);
+  }
+
+  const invalid = tags.find(tag => ANGLE_BRACKETS.test(tag));
+  if (invalid) {
+    return { valid: false, error: `YouTube doesn't allow < or > in tags ("${invalid}").` };
+  }
+
+  const length = tagsLength(tags);
+  if (length > LIMITS.tagsLength) {
+    return {
+      valid: false,
+      error: `The tags add up to ${length} characters, YouTube allows ${LIMITS.tagsLength} in total ` +
+        '(commas count, and tags with spaces count two extra for quotes).'
+    };
+  }
+
+  return { valid: true, value: tags.join(', '), fixes };
+}
+
+// Titles and descriptions are validated as typed, with {file} and {title}
+// still in them; file names and titles filled in later can push them over
+// YouTube's limits. Returns the first error, or null.
+function validateExpanded(videoInfo) {
+  const title = validateTitle(videoInfo.title || '');
+  if (!title.valid) return title.error;
+
+  if (videoInfo.description) {
+    const description = validateDescription(videoInfo.description);
+    if (!description.valid) return description.error;
+  }
+  return null;
+}
+
+// "my_holiday_clip.final.mp4" -> "my holiday clip.final", for titles made
+// from file names; null when nothing usable is left
+function titleFromFileName(fileName) {
+  if (!fileName) return null;
+
+  const title = fileName
+    .replace(/\.[^.]+$/, '')
+    .replace(/[_\s]+/g, ' ')
+    .replace(ANGLE_BRACKETS_GLOBAL, '')
+    .trim()
+    .substring(0, LIMITS.titleLength)
+    .trim();
+  return title || null;
+}
+
+module.exports = {
+  parseCaption,
+  hasDirectives,
+  titleFromFileName,
+  validateTitle,
+  validateDescription,
+  validateTags,
+  validateExpanded,
+  LIMITS
+};
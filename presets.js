@@ -0,0 +1,79 @@
+const { getStorage } = require('./storage');
+
+const NAMESPACE = 'presets';
+
+// What a preset can carry; titles and publish times are per video
+const PRESET_FIELDS = [
+  'description', 'tags', 'categoryId', 'privacyStatus', 'playlists',
+  // Advanced settings
+  'madeForKids', 'license', 'embeddable', 'publicStatsViewable', 'notifySubscribers',
+  'defaultLanguage', 'defaultAudioLanguage', 'recordingDate', 'location'
+];
+
+const NAME_PATTERN = /^[\w-]{1,32}$/;
+
+// Named upload defaults per user, stored as { [name]: preset } under the user
+class PresetStore {
+  constructor() {
+    this.storage = getStorage();
+  }
+
+  isValidName(name) {
+    return NAME_PATTERN.test(name);
+  }
+
+  // Keep only the preset fields that are actually set
+  fromVideoInfo(videoInfo) {
+    const preset = {};
+    for (const field of PRESET_FIELDS) {
+      if (videoInfo[field] !== undefined && videoInfo[field] !== null) {
+        preset[field] = videoInfo[field];
+      }
+    }
+    return preset;
+  }
+
+  async list(userId) {
+    return (await this.storage.get(NAMESPACE, userId)) || {};
+  }
+
+  async get(userId, name) {
+    const presets = await this.list(userId);
+    return presets[name.toLowerCase()] || null;
+  }
+
+  async save(userId, name, preset) {
+    const key = name.toLowerCase();
+    await this.storage.update(NAMESPACE, userId, (presets) => ({
+      ...presets,
+      [key]: { ...preset, name: key, savedAt: new Date().toISOString() }
+    }));
+  }
+
+  async update(userId, name, changes) {
+    const key = name.toLowerCase();
+    let updated = null;
+    await this.storage.update(NAMESPACE, userId, (presets) => {
+      if (!presets?.[key]) return undefined;
+      updated = { ...presets[key], ...changes };
+      return { ...presets, [key]: updated };
+    });
+    return updated;
+  }
+
+  async delete(userId, name) {
+    const key = name.toLowerCase();
+    let deleted = false;
+    await this.storage.update(NAMESPACE, userId, (presets) => {
+      if (!presets?.[key]) return undefined;
+      deleted = true;
+      const { [key]: removed, ...rest } = presets;
+      return Object.keys(rest).length > 0 ? rest : null;
+    });
+    return deleted;
+  }
+}
+
+PresetStore.FIELDS = PRESET_FIELDS;
+
+module.exports = PresetStore;
@@ -0,0 +1,150 @@
+const config = require('./config');
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(2)}GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(0)}KB`;
+  return `${bytes}B`;
+}
+
+function formatDuration(seconds) {
+  seconds = Math.round(seconds);
+  if (seconds >= 3600) return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  if (seconds >= 60) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${seconds}s`;
+}
+
+function progressBar(percent, width = 10) {
+  const filled = Math.min(width, Math.max(0, Math.round((percent / 100) * width)));
+  return '▓'.repeat(filled) + '░'.repeat(width - filled);
+}
+
+// Keeps a single Telegram message up to date with transfer progress. Edits
+// are throttled to config.telegram.progressInterval and back off when
+// Telegram answers 429.
+class ProgressReporter {
+  constructor(telegram, chatId, title) {
+    this.telegram = telegram;
+    this.chatId = chatId;
+    this.title = title;
+    this.messageId = null;
+    this.lastText = null;
+    this.nextEditAt = 0;
+    this.phase = null;
+  }
+
+  async start(heading) {
+    this.setPhase(heading);
+    const text = this.render();
+
+    try {
+      const message = await this.telegram.sendMessage(this.chatId, text);
+      this.messageId = message.message_id;
+      this.lastText = text;
+      this.nextEditAt = Date.now() + config.telegram.progressInterval;
+    } catch (error) {
+      console.error(`❌ Could not send progress message to ${this.chatId}:`, error.message);
+    }
+  }
+
+  // A phase is one transfer (e.g. the YouTube upload); speed and ETA are
+  // measured from its first progress report.
+  setPhase(heading) {
+    this.phase = {
+      heading,
+      percent: null,
+      transferred: 0,
+      total: null,
+      startedAt: null,
+      startBytes: 0
+    };
+  }
+
+  // Switch the same message over to the next transfer (download → upload)
+  async nextPhase(heading) {
+    this.setPhase(heading);
+    this.nextEditAt = 0;
+    await this.edit(this.render());
+  }
+
+  // percent and total may be null when the size isn't known up front; a
+  // percent without a total is progress counted in parts, not bytes
+  async update(percent, transferred, total) {
+    const phase = this.phase;
+    if (!phase) return;
+
+    if (phase.startedAt === null) {
+      phase.startedAt = Date.now();
+      phase.startBytes = transferred;
+    }
+    phase.percent = percent;
+    phase.transferred = transferred;
+    phase.total = total;
+
+    if (Date.now() < this.nextEditAt) return;
+    await this.edit(this.render());
+  }
+
+  // Final state of the message, always written regardless of throttling
+  async finish(text) {
+    this.nextEditAt = 0;
+    await this.edit(text);
+  }
+
+  render() {
+    const phase = this.phase;
+    const lines = [phase.heading, `📹 ${this.title}`];
+
+    if (phase.startedAt !== null) {
+      const elapsed = (Date.now() - phase.startedAt) / 1000;
+      const speed = elapsed > 0 ? (phase.transferred - phase.startBytes) / elapsed : 0;
+
+      let stats = `⚡ ${formatBytes(Math.round(speed))}/s`;
+
+      if (phase.total) {
+        lines.push(`${progressBar(phase.percent)} ${phase.percent}%`);
+        lines.push(`${formatBytes(phase.transferred)} / ${formatBytes(phase.total)}`);
+        if (speed > 0) {
+          stats += ` · ⏱ ETA ${formatDuration((phase.total - phase.transferred) / speed)}`;
+        }
+      } else if (phase.percent !== null) {
+        // Progress counted in parts (e.g. HLS segments) rather than bytes
+        lines.push(`${progressBar(phase.percent)} ${phase.percent}%`);
+        lines.push(`${formatBytes(phase.transferred)} transferred`);
+        if (phase.percent > 0) {
+          stats += ` · ⏱ ETA ${formatDuration(elapsed * (100 - phase.percent) / phase.percent)}`;
+        }
+      } else {
+        // No content-length: all we can show is how much has arrived
+        lines.push(`${formatBytes(phase.transferred)} transferred`);
+      }
+      lines.push(stats);
+    }
+
+    return lines.join('\n');
+  }
+
+  async edit(text) {
+    if (!this.messageId || text === this.lastText) return;
+
+    this.nextEditAt = Date.now() + config.telegram.progressInterval;
+
+    try {
+      await this.telegram.editMessageText(this.chatId, this.messageId, undefined, text);
+      this.lastText = text;
+    } catch (error) {
+      const retryAfter = error.response?.parameters?.retry_after;
+      if (retryAfter) {
+        this.nextEditAt = Date.now() + retryAfter * 1000;
+      } else if (!error.description?.includes('message is not modified')) {
+        console.error('❌ Progress message edit failed:', error.message);
+      }
+    }
+  }
+}
+
+ProgressReporter.formatBytes = formatBytes;
+ProgressReporter.formatDuration = formatDuration;
+ProgressReporter.progressBar = progressBar;
+
+module.exports = ProgressReporter;
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const config = require('./config');
+const { getStorage } = require('./storage');
+
+const JOB_STATES = ['queued', 'downloading', 'uploading', 'done', 'failed'];
+const ACTIVE_STATES = ['queued', 'downloading', 'uploading'];
+const NAMESPACE = 'jobs';
+
+// Upload jobs, kept in memory for fast lookups and written through to the
+// 'jobs' storage namespace on every change.
+class JobQueue {
+  constructor() {
+    this.storage = getStorage();
+    this.jobs = new Map();
+  }
+
+  async load() {
+    for (const [, job] of await this.storage.entries(NAMESPACE)) {
+      this.jobs.set(job.id, job);
+    }
+    console.log(`📋 Loaded ${this.jobs.size} upload job(s)`);
+  }
+
+  async persist(job) {
+    try {
+      await this.storage.set(NAMESPACE, job.id, job);
+    } catch (error) {
+      console.error('❌ Error saving job:', error);
+    }
+  }
+
+  // Anything beyond the required fields (e.g. a thumbnail) is kept on the job
+  async add({ userId, chatId, source, videoInfo, ...extra }) {
+    const now = new Date().toISOString();
+    const job = {
+      ...extra,
+      id: crypto.randomBytes(6).toString('hex'),
+      userId,
+      chatId,
+      state: 'queued',
+      source,
+      videoInfo,
+      filePath: null,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs.set(job.id, job);
+    await this.persist(job);
+    return job;
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  async update(jobId, changes) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    if (changes.state && !JOB_STATES.includes(changes.state)) {
+      throw new Error(`Unknown job state: ${changes.state}`);
+    }
+
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    await this.persist(job);
+    return job;
+  }
+
+  isActive(job) {
+    return ACTIVE_STATES.includes(job.state);
+  }
+
+  // Active jobs in the order they were queued
+  getPending() {
+    return [...this.jobs.values()]
+      .filter(job => this.isActive(job))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  getUserJobs(userId) {
+    return [...this.jobs.values()]
+      .filter(job => job.userId === userId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  getPosition(jobId) {
+    return this.getPending().findIndex(job => job.id === jobId) + 1;
+  }
+
+  async pruneFinished(maxAgeHours = config.jobs.keepFinishedHours) {
+    const cutoff = Date.now() - maxAgeHours * 60 * 60 * 1000;
+    let removed = 0;
+
+    for (const job of this.jobs.values()) {
+      if (!this.isActive(job) && Date.parse(job.updatedAt) < cutoff) {
+        this.jobs.delete(job.id);
+        await this.storage.delete(NAMESPACE, job.id);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+JobQueue.STATES = JOB_STATES;
+
+module.exports = JobQueue;
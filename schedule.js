@@ -0,0 +1,188 @@
+// Natural-language publish times, resolved in the user's timezone with the
+// built-in Intl API (no timezone database dependency).
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const UNITS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock fields of `date` as seen in `timeZone`
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'long',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+  return {
+    year: parseInt(get('year')),
+    month: parseInt(get('month')),
+    day: parseInt(get('day')),
+    hour: parseInt(get('hour')),
+    minute: parseInt(get('minute')),
+    second: parseInt(get('second')),
+    weekday: WEEKDAYS.indexOf(get('weekday').toLowerCase())
+  };
+}
+
+// Offset of `timeZone` from UTC at `date`, in milliseconds
+function zoneOffset(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant at which the wall clock in `timeZone` shows the given fields.
+// The offset is re-checked at the result so DST transitions land correctly.
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  let result = wallClock - zoneOffset(new Date(wallClock), timeZone);
+  const corrected = wallClock - zoneOffset(new Date(result), timeZone);
+  if (corrected !== result) result = corrected;
+  return new Date(result);
+}
+
+// "18:00", "9am", "9:30 pm", "at 21:15"
+function parseTime(text) {
+  const match = text.match(/^(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hour = parseInt(match[1]);
+  const minute = match[2] ? parseInt(match[2]) : 0;
+  const meridiem = match[3];
+
+  // A bare number is too ambiguous ("5" could be anything)
+  if (!match[2] && !meridiem) return null;
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    if (meridiem === 'pm' && hour !== 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+  }
+
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+// Calendar date `days` after the given one (handles month/year rollover)
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+// Returns a Date, or null when the input isn't understood. Supported:
+//   2026-11-02 18:00, 2026-11-02T18:00, 2026-11-02 (midnight)
+//   today 18:00, tomorrow 9am, friday 6pm, next monday 09:30
+//   18:00 (today, or tomorrow if that time has passed)
+//   in 3 hours, in 45 minutes, in 2 days
+//   ISO timestamps with an explicit offset, e.g. 2026-11-02T17:00:00Z
+function parseSchedule(input, timeZone, now = new Date()) {
+  const text = input.trim().toLowerCase().replace(/\s+/g, ' ');
+
+  // Explicit offset: already unambiguous
+  if (/^\d{4}-\d{2}-\d{2}t\d{2}:\d{2}(:\d{2})?(\.\d+)?(z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    const date = new Date(text.toUpperCase());
+    return isNaN(date) ? null : date;
+  }
+
+  // Relative: "in 3 hours"
+  const relative = text.match(/^in (\d+) (minute|min|hour|hr|day|week)s?$/);
+  if (relative) {
+    const unit = { min: 'minute', hr: 'hour' }[relative[2]] || relative[2];
+    return new Date(now.getTime() + parseInt(relative[1]) * UNITS[unit]);
+  }
+
+  const today = zonedParts(now, timeZone);
+
+  // Absolute date: "2026-11-02 18:00"
+  const absolute = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ t](.+))?$/);
+  if (absolute) {
+    const date = {
+      year: parseInt(absolute[1]),
+      month: parseInt(absolute[2]),
+      day: parseInt(absolute[3])
+    };
+    const time = absolute[4] ? parseTime(absolute[4]) : { hour: 0, minute: 0 };
+    if (!time) return null;
+
+    // Reject dates like 2026-02-31 instead of rolling them over
+    const check = addDays(date, 0);
+    if (check.month !== date.month || check.day !== date.day) return null;
+
+    return zonedTimeToUtc({ ...date, ...time }, timeZone);
+  }
+
+  // Day word + time: "tomorrow 9am", "next friday 18:00"
+  const dayWord = text.match(/^(today|tonight|tomorrow|(?:next )?(?:sunday|monday|tuesday|wednesday|thursday|friday|saturday)) (.+)$/);
+  if (dayWord) {
+    const time = parseTime(dayWord[2]);
+    if (!time) return null;
+
+    let offset;
+    const word = dayWord[1];
+    if (word === 'today' || word === 'tonight') {
+      offset = 0;
+    } else if (word === 'tomorrow') {
+      offset = 1;
+    } else {
+      const target = WEEKDAYS.indexOf(word.replace('next ', ''));
+      // The coming one; "friday" said on a Friday means a week from now
+      offset = (target - today.weekday + 7) % 7 || 7;
+    }
+
+    return zonedTimeToUtc({ ...addDays(today, offset), ...time }, timeZone);
+  }
+
+  // Time only: the next time the clock shows it
+  const timeOnly = parseTime(text);
+  if (timeOnly) {
+    let date = zonedTimeToUtc({ ...today, ...timeOnly }, timeZone);
+    if (date <= now) {
+      date = zonedTimeToUtc({ ...addDays(today, 1), ...timeOnly }, timeZone);
+    }
+    return date;
+  }
+
+  return null;
+}
+
+// "Mon, 2 Nov 2026, 18:00"
+function formatInZone(date, timeZone) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(date);
+}
+
+module.exports = {
+  parseSchedule,
+  formatInZone,
+  isValidTimeZone,
+  zonedTimeToUtc
+};
@@ -25,76 +25,113 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Auth callback endpoint for Google OAuth
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+const renderAuthPage = (heading, body, success = true) => `
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <title>YouTube Authorization</title>
+    <style>
+      body {
+        font-family: Arial, sans-serif;
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        height: 100vh;
+        margin: 0;
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      }
+      .container {
+        background: white;
+        padding: 40px;
+        border-radius: 10px;
+        box-shadow: 0 10px 40px rgba(0,0,0,0.2);
+        text-align: center;
+        max-width: 500px;
+      }
+      .heading {
+        color: ${success ? '#4CAF50' : '#E53935'};
+        font-size: 24px;
+        margin-bottom: 20px;
+      }
+      .code {
+        background: #f5f5f5;
+        padding: 15px;
+        border-radius: 5px;
+        margin: 20px 0;
+        font-family: monospace;
+        word-break: break-all;
+      }
+      .instructions {
+        margin: 20px 0;
+        line-height: 1.6;
+      }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="heading">${heading}</div>
+      ${body}
+    </div>
+  </body>
+  </html>
+`;
+
+// Auth callback endpoint for Google OAuth. The state was signed by
+// getAuthUrl, so once verified it tells us which Telegram user signed in and
+// the code exchange can be finished here without the user pasting anything.
 app.get('/auth/callback', async (req, res) => {
   try {
-    const { code, state } = req.query;
+    const { code, state, error } = req.query;
+    
+    if (error) {
+      return res.status(400).send(renderAuthPage(
+        '❌ Authorization Cancelled',
+        `<div class="instructions"><p>Google reported: ${escapeHtml(error)}</p>
+        <p>Use /auth in Telegram to try again.</p></div>`,
+        false
+      ));
+    }
     
     if (!code || !state) {
       return res.status(400).send('Missing code or state parameter');
     }
     
-    // This endpoint is just for receiving the callback
-    // The actual handling is done in the bot when user sends the code
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>YouTube Authorization</title>
-        <style>
-          body {
-            font-family: Arial, sans-serif;
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            height: 100vh;
-            margin: 0;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-          }
-          .container {
-            background: white;
-            padding: 40px;
-            border-radius: 10px;
-            box-shadow: 0 10px 40px rgba(0,0,0,0.2);
-            text-align: center;
-            max-width: 500px;
-          }
-          .success {
-            color: #4CAF50;
-            font-size: 24px;
-            margin-bottom: 20px;
-          }
-          .code {
-            background: #f5f5f5;
-            padding: 15px;
-            border-radius: 5px;
-            margin: 20px 0;
-            font-family: monospace;
-            word-break: break-all;
-          }
-          .instructions {
-            margin: 20px 0;
-            line-height: 1.6;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="success">✅ Authorization Successful!</div>
-          <div class="instructions">
-            <p>Your authorization code has been received.</p>
-            <p><strong>Copy the code below and send it to the Telegram bot:</strong></p>
-          </div>
-          <div class="code">${code}</div>
-          <div class="instructions">
-            <p>1. Go back to Telegram</p>
-            <p>2. Paste this code in the chat</p>
-            <p>3. Your YouTube account will be connected</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `);
+    const userId = bot.uploader.verifyAuthState(state);
+    if (!userId) {
+      return res.status(400).send(renderAuthPage(
+        '❌ Link Expired',
+        `<div class="instructions"><p>This sign-in link is invalid, expired or was already used.</p>
+        <p>Use /auth in Telegram to get a new one.</p></div>`,
+        false
+      ));
+    }
+    
+    const result = await bot.completeAuth(userId, code);
+    
+    if (result.success) {
+      return res.send(renderAuthPage(
+        '✅ Channel Connected!',
+        `<div class="instructions"><p>Your YouTube account is now linked to the bot.</p>
+        <p>You can close this page and go back to Telegram.</p></div>`
+      ));
+    }
+    
+    // Fall back to the manual flow: the user can still paste the code
+    res.status(500).send(renderAuthPage(
+      '⚠️ Could Not Finish Sign-in',
+      `<div class="instructions"><p>${escapeHtml(result.error)}</p>
+      <p>If the problem persists, copy the code below and send it to the Telegram bot:</p></div>
+      <div class="code">${escapeHtml(code)}</div>`,
+      false
+    ));
   } catch (error) {
     console.error('Auth callback error:', error);
     res.status(500).send('Internal server error');
@@ -0,0 +1,71 @@
+const { getStorage } = require('./storage');
+
+const NAMESPACE = 'sessions';
+
+// Wizard state per Telegram user. Handlers read and change sessions
+// synchronously through get(); the bot middleware loads a user's session
+// before an update is handled and saves it afterwards.
+class SessionStore {
+  constructor() {
+    this.storage = getStorage();
+    this.cache = new Map();
+  }
+
+  createSession(isAdmin = false) {
+    return {
+      step: 'idle',
+      videoInfo: {},
+      source: null,
+      batch: null,
+      thumbnail: null,
+      captions: [],
+      preset: null,
+      authStep: null,
+      lastActivity: Date.now(),
+      isAdmin
+    };
+  }
+
+  async load(userId) {
+    if (!this.cache.has(userId)) {
+      const stored = await this.storage.get(NAMESPACE, userId);
+      this.cache.set(userId, stored || this.createSession());
+    }
+    return this.cache.get(userId);
+  }
+
+  async save(userId) {
+    const session = this.cache.get(userId);
+    if (!session) return;
+
+    try {
+      await this.storage.set(NAMESPACE, userId, session);
+    } catch (error) {
+      console.error('❌ Error saving session:', error);
+    }
+  }
+
+  get(userId) {
+    return this.cache.get(userId);
+  }
+
+  has(userId) {
+    return this.cache.has(userId);
+  }
+
+  set(userId, session) {
+    this.cache.set(userId, session);
+    return this;
+  }
+
+  async delete(userId) {
+    this.cache.delete(userId);
+    await this.storage.delete(NAMESPACE, userId);
+  }
+
+  get size() {
+    return this.cache.size;
+  }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,30 @@
+const config = require('./config');
+const { getStorage } = require('./storage');
+
+const NAMESPACE = 'settings';
+
+// Per-user preferences that outlive a single wizard run
+class UserSettings {
+  constructor() {
+    this.storage = getStorage();
+  }
+
+  defaults() {
+    return {
+      timezone: config.scheduling.defaultTimezone,
+      // Remembered from the last category picked in the wizard
+      categoryId: null
+    };
+  }
+
+  async get(userId) {
+    const stored = await this.storage.get(NAMESPACE, userId);
+    return { ...this.defaults(), ...stored };
+  }
+
+  async update(userId, changes) {
+    return this.storage.update(NAMESPACE, userId, (current) => ({ ...current, ...changes }));
+  }
+}
+
+module.exports = UserSettings;
@@ -0,0 +1,58 @@
+// Common behaviour of every storage backend. Data is organised as
+// namespace -> key -> JSON value. Backends implement read, readAll, write and
+// remove; this class serializes all writes per namespace so concurrent
+// read-modify-write cycles never interleave.
+class Storage {
+  constructor() {
+    this.locks = new Map();
+  }
+
+  withLock(namespace, task) {
+    const previous = this.locks.get(namespace) || Promise.resolve();
+    const run = previous.then(task);
+    this.locks.set(namespace, run.catch(() => {}));
+    return run;
+  }
+
+  async get(namespace, key) {
+    return this.read(namespace, String(key));
+  }
+
+  async set(namespace, key, value) {
+    return this.withLock(namespace, () => this.write(namespace, String(key), value));
+  }
+
+  async delete(namespace, key) {
+    return this.withLock(namespace, () => this.remove(namespace, String(key)));
+  }
+
+  // Atomically replace a value with mutate(current). Returning undefined
+  // leaves the value untouched, returning null deletes it.
+  async update(namespace, key, mutate) {
+    key = String(key);
+    return this.withLock(namespace, async () => {
+      const next = await mutate(await this.read(namespace, key));
+      if (next === undefined) return;
+
+      if (next === null) {
+        await this.remove(namespace, key);
+      } else {
+        await this.write(namespace, key, next);
+      }
+      return next;
+    });
+  }
+
+  // [[key, value], ...] for everything in the namespace
+  async entries(namespace) {
+    return this.readAll(namespace);
+  }
+
+  async keys(namespace) {
+    return (await this.readAll(namespace)).map(([key]) => key);
+  }
+
+  async close() {}
+}
+
+module.exports = Storage;
@@ -0,0 +1,31 @@
+const path = require('path');
+const config = require('../config');
+
+let instance = null;
+
+// Every module shares one storage backend, picked by STORAGE_DRIVER
+function getStorage() {
+  if (!instance) {
+    const { driver, dataDir } = config.storage;
+
+    switch (driver) {
+      case 'json': {
+        const JsonStorage = require('./json');
+        instance = new JsonStorage(path.join(dataDir, 'store'));
+        break;
+      }
+      case 'sqlite': {
+        const SqliteStorage = require('./sqlite');
+        instance = new SqliteStorage(path.join(dataDir, 'bot.sqlite'));
+        break;
+      }
+      default:
+        throw new Error(`Unknown STORAGE_DRIVER: ${driver} (use json or sqlite)`);
+    }
+
+    console.log(`💾 Using ${driver} storage in ${dataDir}`);
+  }
+  return instance;
+}
+
+module.exports = { getStorage };
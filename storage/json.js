@@ -0,0 +1,69 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Storage = require('./base');
+
+const clone = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// One JSON file per namespace, cached in memory after the first read. Every
+// write rewrites the file through a temp file + rename, so a crash leaves
+// either the old or the new version, never a truncated one.
+class JsonStorage extends Storage {
+  constructor(dir) {
+    super();
+    this.dir = dir;
+    this.cache = new Map();
+    fs.ensureDirSync(dir);
+  }
+
+  file(namespace) {
+    return path.join(this.dir, `${namespace}.json`);
+  }
+
+  load(namespace) {
+    if (!this.cache.has(namespace)) {
+      const loading = (async () => {
+        const file = this.file(namespace);
+        if (await fs.pathExists(file)) {
+          return JSON.parse(await fs.readFile(file, 'utf8'));
+        }
+        return {};
+      })();
+      this.cache.set(namespace, loading);
+      loading.catch(() => this.cache.delete(namespace));
+    }
+    return this.cache.get(namespace);
+  }
+
+  async flush(namespace, data) {
+    const file = this.file(namespace);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await fs.rename(tmpFile, file);
+  }
+
+  // Values are cloned in and out so callers can't mutate the cache
+  async read(namespace, key) {
+    const data = await this.load(namespace);
+    return clone(data[key]);
+  }
+
+  async readAll(namespace) {
+    const data = await this.load(namespace);
+    return Object.entries(clone(data));
+  }
+
+  async write(namespace, key, value) {
+    const data = await this.load(namespace);
+    data[key] = clone(value);
+    await this.flush(namespace, data);
+  }
+
+  async remove(namespace, key) {
+    const data = await this.load(namespace);
+    if (!(key in data)) return;
+    delete data[key];
+    await this.flush(namespace, data);
+  }
+}
+
+module.exports = JsonStorage;
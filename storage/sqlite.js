@@ -0,0 +1,65 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Storage = require('./base');
+
+// Embedded SQLite database (better-sqlite3, an optional dependency). Each
+// statement is its own transaction; WAL mode keeps reads from blocking on
+// writes.
+class SqliteStorage extends Storage {
+  constructor(file) {
+    super();
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('STORAGE_DRIVER=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    fs.ensureDirSync(path.dirname(file));
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS kv (
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (namespace, key)
+      )
+    `);
+
+    this.statements = {
+      get: this.db.prepare('SELECT value FROM kv WHERE namespace = ? AND key = ?'),
+      all: this.db.prepare('SELECT key, value FROM kv WHERE namespace = ? ORDER BY key'),
+      put: this.db.prepare(`
+        INSERT INTO kv (namespace, key, value, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `),
+      delete: this.db.prepare('DELETE FROM kv WHERE namespace = ? AND key = ?')
+    };
+  }
+
+  async read(namespace, key) {
+    const row = this.statements.get.get(namespace, key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async readAll(namespace) {
+    return this.statements.all.all(namespace).map(row => [row.key, JSON.parse(row.value)]);
+  }
+
+  async write(namespace, key, value) {
+    this.statements.put.run(namespace, key, JSON.stringify(value), new Date().toISOString());
+  }
+
+  async remove(namespace, key) {
+    this.statements.delete.run(namespace, key);
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const { getStorage } = require('./storage');
+
+const CIPHER = 'aes-256-gcm';
+const ENVELOPE_VERSION = 1;
+const NAMESPACE = 'tokens';
+const LEGACY_FILE = path.join(__dirname, 'auth', 'tokens.json');
+
+// Derive a 256-bit key from the configured secret; the key id lets us tell
+// which secret a record was sealed with once keys have been rotated.
+function deriveKey(secret) {
+  const key = Buffer.from(crypto.hkdfSync('sha256', secret, 'youtube-telegram-bot', 'token-store', 32));
+  const kid = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+  return { kid, key };
+}
+
+function isEnvelope(record) {
+  return record && record.v === ENVELOPE_VERSION && record.kid && record.iv && record.data;
+}
+
+// Stores Google OAuth tokens in the 'tokens' storage namespace, one
+// AES-256-GCM envelope per user. The user ID is bound in as associated data so
+// envelopes can't be swapped between users. Plaintext records and records
+// sealed with an old key are re-encrypted with the current key by migrate().
+class TokenStore {
+  constructor() {
+    const { encryptionKey, previousEncryptionKeys } = config.security;
+    if (!encryptionKey) {
+      throw new Error('TOKEN_ENCRYPTION_KEY must be set to store YouTube tokens');
+    }
+
+    this.storage = getStorage();
+    this.currentKey = deriveKey(encryptionKey);
+    this.keys = new Map([this.currentKey, ...previousEncryptionKeys.map(deriveKey)]
+      .map(({ kid, key }) => [kid, key]));
+  }
+
+  encrypt(userId, tokens) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this.currentKey.key, iv);
+    cipher.setAAD(Buffer.from(userId.toString()));
+
+    const data = Buffer.concat([cipher.update(JSON.stringify(tokens), 'utf8'), cipher.final()]);
+
+    return {
+      v: ENVELOPE_VERSION,
+      kid: this.currentKey.kid,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(userId, envelope) {
+    const key = this.keys.get(envelope.kid);
+    if (!key) {
+      throw new Error(`No encryption key configured for key id ${envelope.kid}`);
+    }
+
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(Buffer.from(userId.toString()));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+    const data = Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final()
+    ]);
+    return JSON.parse(data.toString('utf8'));
+  }
+
+  open(userId, record) {
+    // Plaintext records only exist until migrate() has run
+    return isEnvelope(record) ? this.decrypt(userId, record) : record;
+  }
+
+  // Import tokens from the old auth/tokens.json, encrypt plaintext records
+  // and re-seal records that use a rotated-out key. Safe to run on every
+  // start.
+  async migrate() {
+    await this.importLegacyFile();
+
+    let migrated = 0;
+
+    for (const [userId, record] of await this.storage.entries(NAMESPACE)) {
+      if (isEnvelope(record) && record.kid === this.currentKey.kid) continue;
+
+      await this.storage.update(NAMESPACE, userId, (current) => (
+        current ? this.encrypt(userId, this.open(userId, current)) : undefined
+      ));
+      migrated++;
+    }
+
+    if (migrated > 0) {
+      console.log(`🔐 Re-encrypted ${migrated} stored token record(s)`);
+    }
+    return migrated;
+  }
+
+  async importLegacyFile() {
+    if (!(await fs.pathExists(LEGACY_FILE))) return;
+
+    const records = JSON.parse(await fs.readFile(LEGACY_FILE, 'utf8'));
+    for (const [userId, record] of Object.entries(records)) {
+      await this.storage.set(NAMESPACE, userId, isEnvelope(record)
+        ? record
+        : this.encrypt(userId, record));
+    }
+
+    // The file may hold plaintext refresh tokens, don't leave it around
+    await fs.remove(LEGACY_FILE);
+    console.log(`🔐 Imported ${Object.keys(records).length} token record(s) from ${LEGACY_FILE}`);
+  }
+
+  async get(userId) {
+    const record = await this.storage.get(NAMESPACE, userId);
+    return record ? this.open(userId, record) : null;
+  }
+
+  async set(userId, tokens) {
+    await this.storage.set(NAMESPACE, userId, this.encrypt(userId, tokens));
+  }
+
+  // Merge changes into an existing record; does nothing for unknown users
+  async merge(userId, changes) {
+    await this.storage.update(NAMESPACE, userId, (record) => (
+      record ? this.encrypt(userId, { ...this.open(userId, record), ...changes }) : undefined
+    ));
+  }
+
+  async delete(userId) {
+    await this.storage.delete(NAMESPACE, userId);
+  }
+
+  // Listing users needs no decryption, records are keyed by user ID
+  async listUsers() {
+    return this.storage.keys(NAMESPACE);
+  }
+}
+
+module.exports = TokenStore;
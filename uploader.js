@@ -1,44 +1,74 @@
 const { google } = require('googleapis');
+const axios = require('axios');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const fs = require('fs-extra');
-const path = require('path');
 const config = require('./config');
+const TokenStore = require('./tokenstore');
+const { getStorage } = require('./storage');
+const { detectImageFile } = require('./filetype');
 
-class YouTubeUploader {
+const RESUMABLE_UPLOAD_URL = 'https://www.googleapis.com/upload/youtube/v3/videos';
+const CHUNK_ALIGNMENT = 256 * 1024;
+const CATEGORY_NAMESPACE = 'categories';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 308 "Resume Incomplete" is how the upload endpoint acknowledges a chunk
+const acceptUploadStatus = (status) => status === 308 || (status >= 200 && status < 300);
+
+// Range header of a 308 response looks like "bytes=0-1048575"
+function nextOffsetFromRange(range) {
+  const match = range && range.match(/bytes=\d+-(\d+)/);
+  return match ? parseInt(match[1]) + 1 : 0;
+}
+
+// Emits 'reauth-required' (userId) when Google rejects a user's refresh
+// token, so the bot can ask them to authenticate again.
+class YouTubeUploader extends EventEmitter {
   constructor() {
-    this.oauth2Client = new google.auth.OAuth2(
+    super();
+
+    // Only used for the sign-in flow itself, never holds user credentials
+    this.oauth2Client = this.createOAuthClient();
+
+    // userId -> OAuth2 client carrying that user's credentials
+    this.clients = new Map();
+
+    // OAuth states already redeemed at /auth/callback -> time of use
+    this.usedStates = new Map();
+
+    this.tokenStore = new TokenStore();
+    this.storage = getStorage();
+
+    // userId -> the channel's country, for the category list
+    this.channelRegions = new Map();
+  }
+
+  createOAuthClient() {
+    return new google.auth.OAuth2(
       config.youtube.clientId,
       config.youtube.clientSecret,
       config.youtube.redirectUri
     );
-
-    this.youtube = google.youtube({
-      version: 'v3',
-      auth: this.oauth2Client
-    });
-
-    this.tokensFile = path.join(__dirname, 'auth', 'tokens.json');
-    this.ensureAuthDir();
   }
 
-  ensureAuthDir() {
-    const authDir = path.join(__dirname, 'auth');
-    fs.ensureDirSync(authDir);
+  // Encrypts any plaintext tokens left by older versions; run once on boot
+  async init() {
+    try {
+      await this.tokenStore.migrate();
+    } catch (error) {
+      console.error('❌ Token store migration failed:', error);
+    }
   }
 
   async saveTokens(userId, tokens) {
     try {
-      let allTokens = {};
-      if (await fs.pathExists(this.tokensFile)) {
-        allTokens = JSON.parse(await fs.readFile(this.tokensFile, 'utf8'));
-      }
-      
-      allTokens[userId] = {
+      await this.tokenStore.set(userId, {
         ...tokens,
         savedAt: new Date().toISOString(),
         userId: userId.toString()
-      };
-      
-      await fs.writeFile(this.tokensFile, JSON.stringify(allTokens, null, 2));
+      });
       return true;
     } catch (error) {
       console.error('❌ Error saving tokens:', error);
@@ -46,12 +76,24 @@ class YouTubeUploader {
     }
   }
 
+  // Merge refreshed credentials into what's stored. A refresh usually
+  // returns only a new access token, so the refresh token must be kept.
+  async mergeTokens(userId, tokens) {
+    try {
+      await this.tokenStore.merge(userId, {
+        ...tokens,
+        savedAt: new Date().toISOString()
+      });
+      return true;
+    } catch (error) {
+      console.error('❌ Error saving refreshed tokens:', error);
+      return false;
+    }
+  }
+
   async getTokens(userId) {
     try {
-      if (await fs.pathExists(this.tokensFile)) {
-        const allTokens = JSON.parse(await fs.readFile(this.tokensFile, 'utf8'));
-        return allTokens[userId] || null;
-      }
+      return await this.tokenStore.get(userId);
     } catch (error) {
       console.error('❌ Error reading tokens:', error);
     }
@@ -59,12 +101,9 @@ class YouTubeUploader {
   }
 
   async deleteTokens(userId) {
+    this.clients.delete(userId.toString());
     try {
-      if (await fs.pathExists(this.tokensFile)) {
-        const allTokens = JSON.parse(await fs.readFile(this.tokensFile, 'utf8'));
-        delete allTokens[userId];
-        await fs.writeFile(this.tokensFile, JSON.stringify(allTokens, null, 2));
-      }
+      await this.tokenStore.delete(userId);
       return true;
     } catch (error) {
       console.error('❌ Error deleting tokens:', error);
@@ -72,11 +111,92 @@ class YouTubeUploader {
     }
   }
 
+  // Returns an OAuth2 client that only ever carries this user's credentials,
+  // or null when the user has no usable tokens.
+  async getClient(userId) {
+    const key = userId.toString();
+    if (this.clients.has(key)) {
+      return this.clients.get(key);
+    }
+
+    const tokens = await this.getTokens(userId);
+    if (!tokens || tokens.needsReauth) return null;
+
+    const client = this.createOAuthClient();
+    client.setCredentials(tokens);
+    client.on('tokens', (refreshed) => {
+      console.log(`🔄 Refreshed access token for user ${userId}`);
+      this.mergeTokens(userId, refreshed);
+    });
+
+    this.clients.set(key, client);
+    return client;
+  }
+
+  // invalid_grant means the refresh token was revoked or expired; nothing
+  // but a new sign-in will fix it. Returns true if that was the case.
+  async handleAuthError(userId, error) {
+    const reason = error.response?.data?.error || error.message;
+    if (reason !== 'invalid_grant') return false;
+
+    this.clients.delete(userId.toString());
+
+    const tokens = await this.getTokens(userId);
+    if (tokens && !tokens.needsReauth) {
+      console.warn(`⚠️ Refresh token for user ${userId} is no longer valid`);
+      await this.mergeTokens(userId, { needsReauth: true });
+      this.emit('reauth-required', userId);
+    }
+    return true;
+  }
+
+  // The OAuth state carries the Telegram user ID, signed and time-limited so
+  // /auth/callback can trust it: "<userId>.<issuedAt>.<nonce>.<hmac>"
+  createAuthState(userId) {
+    const payload = `${userId}.${Date.now()}.${crypto.randomBytes(8).toString('hex')}`;
+    return `${payload}.${this.signState(payload)}`;
+  }
+
+  signState(payload) {
+    return crypto.createHmac('sha256', config.security.stateSecret)
+      .update(payload)
+      .digest('base64url');
+  }
+
+  // Returns the user ID the state was issued for, or null if it is forged,
+  // expired or has already been used.
+  verifyAuthState(state) {
+    if (typeof state !== 'string') return null;
+
+    const parts = state.split('.');
+    if (parts.length !== 4) return null;
+
+    const payload = parts.slice(0, 3).join('.');
+    const expected = Buffer.from(this.signState(payload));
+    const actual = Buffer.from(parts[3]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    const [userId, issuedAt] = parts;
+    const now = Date.now();
+    if (now - parseInt(issuedAt) > config.security.authStateTtl) return null;
+
+    // Forget used states once they would have expired anyway
+    for (const [used, usedAt] of this.usedStates) {
+      if (now - usedAt > config.security.authStateTtl) this.usedStates.delete(used);
+    }
+    if (this.usedStates.has(state)) return null;
+    this.usedStates.set(state, now);
+
+    return parseInt(userId);
+  }
+
   async getAuthUrl(userId) {
     const url = this.oauth2Client.generateAuthUrl({
       access_type: 'offline',
       scope: config.youtube.scopes,
-      state: userId.toString(),
+      state: this.createAuthState(userId),
       prompt: 'consent',
       include_granted_scopes: true
     });
@@ -85,20 +205,22 @@ class YouTubeUploader {
 
   async handleAuthCallback(code, userId) {
     try {
-      const { tokens } = await this.oauth2Client.getToken(code);
+      const client = this.createOAuthClient();
+      const { tokens } = await client.getToken(code);
       
       // Verify tokens by getting user info
-      this.oauth2Client.setCredentials(tokens);
+      client.setCredentials(tokens);
       
       const oauth2 = google.oauth2({
         version: 'v2',
-        auth: this.oauth2Client
+        auth: client
       });
       
       const userInfo = await oauth2.userinfo.get();
       
-      // Save tokens
+      // Save tokens, replacing any client built from older ones
       await this.saveTokens(userId, tokens);
+      this.clients.delete(userId.toString());
       
       return {
         success: true,
@@ -116,15 +238,20 @@ class YouTubeUploader {
     }
   }
 
+  youtubeFor(client) {
+    return google.youtube({
+      version: 'v3',
+      auth: client
+    });
+  }
+
   async checkAuth(userId) {
     try {
-      const tokens = await this.getTokens(userId);
-      if (!tokens) return false;
-      
-      this.oauth2Client.setCredentials(tokens);
+      const client = await this.getClient(userId);
+      if (!client) return false;
       
       // Test token with a simple API call
-      await this.youtube.channels.list({
+      await this.youtubeFor(client).channels.list({
         part: 'snippet',
         mine: true,
         maxResults: 1
@@ -133,18 +260,121 @@ class YouTubeUploader {
       return true;
     } catch (error) {
       console.error('❌ Auth check error:', error);
+      await this.handleAuthError(userId, error);
       return false;
     }
   }
 
+  // The channel's playlists, following pagination
+  async listPlaylists(userId) {
+    try {
+      const client = await this.getClient(userId);
+      if (!client) {
+        throw new Error('User not authenticated. Please use /auth first.');
+      }
+
+      const youtube = this.youtubeFor(client);
+      const playlists = [];
+      let pageToken;
+
+      do {
+        const response = await youtube.playlists.list({
+          part: 'snippet,contentDetails,status',
+          mine: true,
+          maxResults: 50,
+          pageToken
+        });
+
+        for (const item of response.data.items || []) {
+          playlists.push({
+            id: item.id,
+            title: item.snippet.title,
+            itemCount: item.contentDetails?.itemCount || 0,
+            privacyStatus: item.status?.privacyStatus
+          });
+        }
+        pageToken = response.data.nextPageToken;
+      } while (pageToken);
+
+      return { success: true, playlists };
+    } catch (error) {
+      console.error('❌ List playlists error:', error);
+      await this.handleAuthError(userId, error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || error.message
+      };
+    }
+  }
+
+  async createPlaylist(userId, title, privacyStatus = 'private') {
+    try {
+      const client = await this.getClient(userId);
+      if (!client) {
+        throw new Error('User not authenticated. Please use /auth first.');
+      }
+
+      const response = await this.youtubeFor(client).playlists.insert({
+        part: 'snippet,status',
+        requestBody: {
+          snippet: { title: title.substring(0, 150) },
+          status: { privacyStatus }
+        }
+      });
+
+      return {
+        success: true,
+        playlist: {
+          id: response.data.id,
+          title: response.data.snippet.title,
+          itemCount: 0,
+          privacyStatus: response.data.status.privacyStatus
+        }
+      };
+    } catch (error) {
+      console.error('❌ Create playlist error:', error);
+      await this.handleAuthError(userId, error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || error.message
+      };
+    }
+  }
+
+  async addToPlaylist(userId, playlistId, videoId) {
+    try {
+      const client = await this.getClient(userId);
+      if (!client) {
+        throw new Error('User not authenticated. Please use /auth first.');
+      }
+
+      await this.youtubeFor(client).playlistItems.insert({
+        part: 'snippet',
+        requestBody: {
+          snippet: {
+            playlistId,
+            resourceId: { kind: 'youtube#video', videoId }
+          }
+        }
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Add to playlist error:', error);
+      await this.handleAuthError(userId, error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || error.message
+      };
+    }
+  }
+
   async getChannelInfo(userId) {
     try {
-      const tokens = await this.getTokens(userId);
-      if (!tokens) return null;
+      const client = await this.getClient(userId);
+      if (!client) return null;
       
-      this.oauth2Client.setCredentials(tokens);
-      
-      const response = await this.youtube.channels.list({
+      const response = await this.youtubeFor(client).channels.list({
         part: 'snippet,statistics',
         mine: true
       });
@@ -155,52 +385,133 @@ class YouTubeUploader {
       return null;
     } catch (error) {
       console.error('❌ Get channel error:', error);
+      await this.handleAuthError(userId, error);
       return null;
     }
   }
 
-  async uploadVideo(userId, videoData, onProgress = null) {
+  // Assignable categories for the region of the user's channel. The list
+  // rarely changes, so it is cached per region.
+  async listCategories(userId) {
     try {
-      // Get user tokens
-      const tokens = await this.getTokens(userId);
-      if (!tokens) {
+      const client = await this.getClient(userId);
+      if (!client) {
         throw new Error('User not authenticated. Please use /auth first.');
       }
+      const youtube = this.youtubeFor(client);
 
-      // Set credentials
-      this.oauth2Client.setCredentials(tokens);
+      if (!this.channelRegions.has(userId)) {
+        const channel = await youtube.channels.list({ part: 'snippet', mine: true });
+        this.channelRegions.set(
+          userId,
+          channel.data.items?.[0]?.snippet?.country || config.youtube.categories.defaultRegion
+        );
+      }
+      const regionCode = this.channelRegions.get(userId);
+
+      const cached = await this.storage.get(CATEGORY_NAMESPACE, regionCode);
+      if (cached && Date.now() - Date.parse(cached.fetchedAt) < config.youtube.categories.cacheTtl) {
+        return { success: true, regionCode, categories: cached.categories };
+      }
+
+      const response = await youtube.videoCategories.list({
+        part: ['snippet'],
+        regionCode
+      });
+
+      const categories = (response.data.items || [])
+        .filter(item => item.snippet.assignable)
+        .map(item => ({ id: item.id, title: item.snippet.title }));
+
+      await this.storage.set(CATEGORY_NAMESPACE, regionCode, {
+        categories,
+        fetchedAt: new Date().toISOString()
+      });
+
+      return { success: true, regionCode, categories };
+    } catch (error) {
+      console.error('❌ List categories error:', error);
+      await this.handleAuthError(userId, error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || error.message
+      };
+    }
+  }
+
+  // Options:
+  //   sessionUri - resumable session from a previous attempt to continue
+  //   onSession  - called with a new session URI so the caller can persist it
+  async uploadVideo(userId, videoData, onProgress = null, options = {}) {
+    try {
+      const client = await this.getClient(userId);
+      if (!client) {
+        throw new Error('User not authenticated. Please use /auth first.');
+      }
 
       // Prepare video metadata
       const videoMetadata = {
         snippet: {
-          title: videoData.title.substring(0, 100),
-          description: videoData.description ? videoData.description.substring(0, 5000) : '',
+          title: videoData.title,
+          description: videoData.description || '',
           tags: videoData.tags ? 
             videoData.tags.split(',')
               .map(tag => tag.trim())
-              .filter(tag => tag.length > 0)
-              .slice(0, 30) : [],
-          categoryId: videoData.categoryId || '22' // People & Blogs
+              .filter(tag => tag.length > 0) : [],
+          categoryId: videoData.categoryId || config.youtube.categories.defaultId
         },
         status: {
           privacyStatus: videoData.privacyStatus || 'private',
-          selfDeclaredMadeForKids: false
+          selfDeclaredMadeForKids: Boolean(videoData.madeForKids),
+          license: videoData.license || 'youtube',
+          embeddable: videoData.embeddable !== false,
+          publicStatsViewable: videoData.publicStatsViewable !== false
         }
       };
 
-      console.log(`📤 Uploading video for user ${userId}: ${videoData.title}`);
+      if (videoData.defaultLanguage) {
+        videoMetadata.snippet.defaultLanguage = videoData.defaultLanguage;
+      }
+      if (videoData.defaultAudioLanguage) {
+        videoMetadata.snippet.defaultAudioLanguage = videoData.defaultAudioLanguage;
+      }
 
-      // Upload to YouTube
-      const response = await this.youtube.videos.insert({
-        part: 'snippet,status',
-        requestBody: videoMetadata,
-        media: {
-          body: fs.createReadStream(videoData.filePath),
-          mimeType: videoData.mimeType || 'video/mp4'
+      if (videoData.recordingDate || videoData.location) {
+        videoMetadata.recordingDetails = {};
+        if (videoData.recordingDate) {
+          videoMetadata.recordingDetails.recordingDate = new Date(videoData.recordingDate).toISOString();
+        }
+        if (videoData.location) {
+          videoMetadata.recordingDetails.location = {
+            latitude: videoData.location.latitude,
+            longitude: videoData.location.longitude
+          };
         }
+      }
+
+      // Scheduled videos stay private until YouTube publishes them
+      if (videoData.publishAt) {
+        if (new Date(videoData.publishAt) <= new Date()) {
+          throw new Error('The scheduled publish time has already passed. Please upload again with a new time.');
+        }
+        videoMetadata.status.privacyStatus = 'private';
+        videoMetadata.status.publishAt = videoData.publishAt;
+      }
+
+      console.log(`📤 Uploading video for user ${userId}: ${videoData.title}`);
+
+      const video = await this.resumableUpload(client, {
+        filePath: videoData.filePath,
+        mimeType: videoData.mimeType || 'video/mp4',
+        metadata: videoMetadata,
+        // Not part of the resource, YouTube takes it as a query parameter
+        params: { notifySubscribers: videoData.notifySubscribers !== false },
+        sessionUri: options.sessionUri,
+        onSession: options.onSession,
+        onProgress
       });
 
-      const videoId = response.data.id;
+      const videoId = video.id;
       const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
 
       console.log(`✅ Upload successful: ${videoUrl}`);
@@ -209,26 +520,251 @@ class YouTubeUploader {
         success: true,
         videoId,
         videoUrl,
-        title: response.data.snippet.title,
-        privacyStatus: response.data.status.privacyStatus,
-        thumbnail: response.data.snippet.thumbnails?.default?.url
+        title: video.snippet.title,
+        privacyStatus: video.status.privacyStatus,
+        publishAt: video.status.publishAt || null,
+        thumbnail: video.snippet.thumbnails?.default?.url
       };
     } catch (error) {
       console.error('❌ YouTube upload error:', error);
+      await this.handleAuthError(userId, error);
       return {
         success: false,
-        error: error.message
+        error: error.response?.data?.error?.message || error.message
       };
     }
   }
 
-  async getAllUsers() {
+  // Checks an image against YouTube's thumbnail limits by its actual bytes
+  async validateThumbnail(filePath) {
+    const limits = config.youtube.thumbnail;
+    const { size } = await fs.stat(filePath);
+
+    if (size > limits.maxSize) {
+      return { valid: false, error: `Image is ${(size / 1024 / 1024).toFixed(2)}MB, thumbnails can be at most ${limits.maxSize / 1024 / 1024}MB` };
+    }
+
+    const image = await detectImageFile(filePath);
+    if (!image || !limits.allowedTypes.includes(image.mimeType)) {
+      return { valid: false, error: `Unsupported image format${image ? ` (${image.type})` : ''}, use JPEG or PNG` };
+    }
+
+    if (image.width && image.width < limits.minWidth) {
+      return { valid: false, error: `Image is ${image.width}px wide, thumbnails need at least ${limits.minWidth}px` };
+    }
+
+    return { valid: true, mimeType: image.mimeType, width: image.width, height: image.height };
+  }
+
+  async setThumbnail(userId, videoId, filePath, mimeType) {
     try {
-      if (await fs.pathExists(this.tokensFile)) {
-        const allTokens = JSON.parse(await fs.readFile(this.tokensFile, 'utf8'));
-        return Object.keys(allTokens);
+      const client = await this.getClient(userId);
+      if (!client) {
+        throw new Error('User not authenticated. Please use /auth first.');
       }
-      return [];
+
+      const response = await this.youtubeFor(client).thumbnails.set({
+        videoId,
+        media: {
+          mimeType,
+          body: fs.createReadStream(filePath)
+        }
+      });
+
+      return {
+        success: true,
+        url: response.data.items?.[0]?.default?.url
+      };
+    } catch (error) {
+      console.error('❌ Thumbnail upload error:', error);
+      await this.handleAuthError(userId, error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || error.message
+      };
+    }
+  }
+
+  async uploadCaption(userId, videoId, { language, name, text }) {
+    try {
+      const client = await this.getClient(userId);
+      if (!client) {
+        throw new Error('User not authenticated. Please use /auth first.');
+      }
+
+      const response = await this.youtubeFor(client).captions.insert({
+        part: ['snippet'],
+        requestBody: {
+          snippet: { videoId, language, name: name || '', isDraft: false }
+        },
+        media: {
+          mimeType: 'application/octet-stream',
+          body: text
+        }
+      });
+
+      return { success: true, captionId: response.data.id };
+    } catch (error) {
+      console.error('❌ Caption upload error:', error);
+      await this.handleAuthError(userId, error);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || error.message
+      };
+    }
+  }
+
+  // YouTube resumable upload protocol: open a session, PUT the file in
+  // chunks and, after a failure, ask the session how much it already has.
+  async resumableUpload(client, { filePath, mimeType, metadata, params, sessionUri, onSession, onProgress }) {
+    const { size: fileSize } = await fs.stat(filePath);
+    const chunkSize = Math.max(
+      CHUNK_ALIGNMENT,
+      Math.floor(config.youtube.upload.chunkSize / CHUNK_ALIGNMENT) * CHUNK_ALIGNMENT
+    );
+
+    let offset = 0;
+
+    if (sessionUri) {
+      const status = await this.queryUploadStatus(client, sessionUri, fileSize).catch((error) => {
+        console.warn('⚠️ Stored upload session is no longer usable:', error.message);
+        return null;
+      });
+
+      if (status?.complete) return status.video;
+      if (status) {
+        offset = status.offset;
+        console.log(`🔁 Resuming upload at ${(offset / 1024 / 1024).toFixed(2)}MB`);
+      } else {
+        sessionUri = null;
+      }
+    }
+
+    if (!sessionUri) {
+      sessionUri = await this.createUploadSession(client, metadata, fileSize, mimeType, params);
+      if (onSession) await onSession(sessionUri);
+    }
+
+    let retries = 0;
+    let sessionRestarts = 0;
+
+    while (true) {
+      try {
+        const end = Math.min(offset + chunkSize, fileSize) - 1;
+        const chunk = fs.createReadStream(filePath, { start: offset, end });
+
+        // Bytes are counted as the request consumes them, so progress
+        // follows the socket rather than the disk
+        if (onProgress) {
+          let sent = offset;
+          chunk.on('data', (data) => {
+            sent += data.length;
+            onProgress(Math.round((sent / fileSize) * 100), sent, fileSize);
+          });
+        }
+
+        const response = await axios.put(sessionUri, chunk, {
+          headers: {
+            ...(await this.getAuthHeaders(client)),
+            'Content-Length': end - offset + 1,
+            'Content-Range': `bytes ${offset}-${end}/${fileSize}`,
+            'Content-Type': mimeType
+          },
+          maxBodyLength: Infinity,
+          maxContentLength: Infinity,
+          maxRedirects: 0,
+          validateStatus: acceptUploadStatus
+        });
+
+        if (response.status !== 308) {
+          return response.data;
+        }
+
+        offset = nextOffsetFromRange(response.headers.range);
+        retries = 0;
+      } catch (error) {
+        const status = error.response?.status;
+
+        // The session is gone (expired or cancelled), start a fresh one. A
+        // new session that is rejected again won't be fixed by more retries.
+        if (status === 404 || status === 410) {
+          if (sessionRestarts >= config.youtube.upload.maxRetries) {
+            throw new Error(`Upload session rejected with HTTP ${status} after ${sessionRestarts} fresh starts`);
+          }
+          sessionRestarts++;
+          console.warn(`⚠️ Upload session expired, starting over (${sessionRestarts}/${config.youtube.upload.maxRetries})`);
+          sessionUri = await this.createUploadSession(client, metadata, fileSize, mimeType, params);
+          if (onSession) await onSession(sessionUri);
+          offset = 0;
+          continue;
+        }
+
+        const retryable = !error.response || status >= 500 || status === 429;
+        if (!retryable || retries >= config.youtube.upload.maxRetries) {
+          throw error;
+        }
+
+        retries++;
+        const delay = Math.min(2 ** retries * 1000, 60000);
+        console.warn(`⚠️ Upload chunk failed (${error.message}), retry ${retries} in ${delay / 1000}s`);
+        await sleep(delay);
+
+        const uploadStatus = await this.queryUploadStatus(client, sessionUri, fileSize).catch(() => null);
+        if (uploadStatus?.complete) return uploadStatus.video;
+        if (uploadStatus) offset = uploadStatus.offset;
+      }
+    }
+  }
+
+  async createUploadSession(client, metadata, fileSize, mimeType, params = {}) {
+    const response = await axios.post(RESUMABLE_UPLOAD_URL, metadata, {
+      params: {
+        ...params,
+        uploadType: 'resumable',
+        part: Object.keys(metadata).join(',')
+      },
+      headers: {
+        ...(await this.getAuthHeaders(client)),
+        'Content-Type': 'application/json; charset=UTF-8',
+        'X-Upload-Content-Length': fileSize,
+        'X-Upload-Content-Type': mimeType
+      }
+    });
+
+    if (!response.headers.location) {
+      throw new Error('YouTube did not return an upload session');
+    }
+    return response.headers.location;
+  }
+
+  // Returns { complete: true, video } or { complete: false, offset }
+  async queryUploadStatus(client, sessionUri, fileSize) {
+    const response = await axios.put(sessionUri, null, {
+      headers: {
+        ...(await this.getAuthHeaders(client)),
+        'Content-Length': 0,
+        'Content-Range': `bytes */${fileSize}`
+      },
+      maxRedirects: 0,
+      validateStatus: acceptUploadStatus
+    });
+
+    if (response.status !== 308) {
+      return { complete: true, video: response.data };
+    }
+    return { complete: false, offset: nextOffsetFromRange(response.headers.range) };
+  }
+
+  // Access tokens only live an hour, so fetch one per request; the client
+  // refreshes it when needed.
+  async getAuthHeaders(client) {
+    const { token } = await client.getAccessToken();
+    return { Authorization: `Bearer ${token}` };
+  }
+
+  async getAllUsers() {
+    try {
+      return await this.tokenStore.listUsers();
     } catch (error) {
       return [];
     }
@@ -0,0 +1,133 @@
+const dns = require('dns');
+const net = require('net');
+const config = require('./config');
+
+// Where links sent by users may lead. Downloads run on our server, so a link
+// to a private address would let anyone reach internal services or the cloud
+// metadata endpoint. The address check runs inside the DNS lookup of every
+// connection, which covers each redirect hop and DNS answers that change
+// between the check and the request.
+
+const PROTOCOLS = ['http:', 'https:'];
+
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this network"
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, includes the metadata endpoint
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96], // NAT64 can wrap any IPv4 address
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function matchesDomain(hostname, domains) {
+  return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+function policyError(message) {
+  const error = new Error(message);
+  error.code = 'EURLPOLICY';
+  error.retryable = false;
+  return error;
+}
+
+// Everything that can be decided from the URL itself. Returns an error
+// message, or null when the URL may be fetched.
+function checkUrl(url) {
+  const { allowedPorts, allowedDomains, blockedDomains } = config.downloads.policy;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'Invalid URL';
+  }
+
+  if (!PROTOCOLS.includes(parsed.protocol)) {
+    return `Only http and https links are supported, not ${parsed.protocol.replace(':', '')}`;
+  }
+  if (parsed.username || parsed.password) {
+    return 'Links with a username or password are not supported';
+  }
+
+  const port = parseInt(parsed.port) || (parsed.protocol === 'https:' ? 443 : 80);
+  if (!allowedPorts.includes(port)) {
+    return `Downloads from port ${port} are not allowed`;
+  }
+
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (matchesDomain(hostname, blockedDomains)) {
+    return `Downloads from ${hostname} are blocked`;
+  }
+  if (allowedDomains.length > 0 && !matchesDomain(hostname, allowedDomains)) {
+    return `Downloads from ${hostname} are not allowed`;
+  }
+  if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+    return 'Links to private or internal addresses are not allowed';
+  }
+
+  return null;
+}
+
+// checkUrl for code paths that throw
+function assertAllowed(url) {
+  const error = checkUrl(url);
+  if (error) throw policyError(error);
+}
+
+// Drop-in for dns.lookup that refuses hosts resolving to blocked addresses.
+// Every address is checked, so a round-robin answer can't sneak one in.
+async function lookup(hostname, options = {}) {
+  const addresses = await dns.promises.lookup(hostname, { ...options, all: true });
+
+  const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+  if (blocked) {
+    throw policyError(`${hostname} points to a private or internal address`);
+  }
+  return addresses;
+}
+
+// Axios options that apply the policy to a request and its redirects
+function requestOptions() {
+  return {
+    lookup,
+    maxRedirects: config.downloads.policy.maxRedirects,
+    beforeRedirect: (options) => {
+      const error = checkUrl(options.href);
+      if (error) throw policyError(`Redirect refused: ${error}`);
+    }
+  };
+}
+
+module.exports = {
+  checkUrl,
+  assertAllowed,
+  isPublicAddress,
+  lookup,
+  requestOptions
+};
@@ -0,0 +1,267 @@
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const { validateCaptions } = require('./captions');
+const { titleFromFileName, validateExpanded } = require('./metadata');
+
+// Processes queued upload jobs one at a time: download the source, upload it
+// to YouTube, then clean up. Emits 'state', 'progress', 'done' and 'failed' so
+// the bot can keep the user informed without the worker knowing about Telegram
+// messages.
+class UploadWorker extends EventEmitter {
+  constructor({ queue, history, downloader, uploader, telegram }) {
+    super();
+    this.queue = queue;
+    this.history = history;
+    this.downloader = downloader;
+    this.uploader = uploader;
+    this.telegram = telegram;
+    this.running = false;
+    this.busy = false;
+  }
+
+  async start() {
+    await this.queue.load();
+    this.running = true;
+
+    // Anything left active belongs to a previous process, drop files that no
+    // job points at anymore before picking those jobs back up.
+    const pending = this.queue.getPending();
+    await this.downloader.cleanupExcept(
+      pending.map(job => job.filePath).filter(Boolean)
+    );
+    await this.queue.pruneFinished();
+
+    if (pending.length > 0) {
+      console.log(`🔁 Resuming ${pending.length} upload job(s)`);
+    }
+    this.kick();
+  }
+
+  stop() {
+    this.running = false;
+  }
+
+  // Called whenever a job is enqueued
+  kick() {
+    if (!this.running || this.busy) return;
+    this.drain().catch((error) => {
+      console.error('❌ Worker error:', error);
+    });
+  }
+
+  async drain() {
+    this.busy = true;
+    try {
+      let job;
+      while (this.running && (job = this.queue.getPending()[0])) {
+        await this.process(job);
+      }
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  async setState(job, state, changes = {}) {
+    await this.queue.update(job.id, { ...changes, state });
+    this.emit('state', job);
+  }
+
+  async process(job) {
+    try {
+      // A job interrupted mid-download has a partial file at best, start over
+      if (job.state === 'downloading' || !job.filePath || !(await fs.pathExists(job.filePath))) {
+        await this.downloader.cleanup(job.filePath);
+        await this.setState(job, 'downloading', { filePath: null, uploadSessionUri: null, progress: 0 });
+
+        const download = await this.download(job, (percent, downloaded, total) => {
+          job.progress = percent;
+          this.emit('progress', job, { percent, transferred: downloaded, total });
+        });
+        if (!download.success) {
+          throw new Error(download.error);
+        }
+
+        await this.queue.update(job.id, {
+          filePath: download.filePath,
+          mimeType: download.mimeType,
+          size: download.size,
+          originalName: download.originalName || null
+        });
+      }
+
+      // Titles left as {file} by the wizard get the name the download revealed
+      const fileTitle = titleFromFileName(job.originalName) || 'Untitled video';
+      const videoInfo = { ...job.videoInfo };
+      videoInfo.title = videoInfo.title.replace(/\{file\}/g, fileTitle);
+      if (videoInfo.description) {
+        videoInfo.description = videoInfo.description.replace(/\{file\}/g, fileTitle);
+      }
+      const invalid = validateExpanded(videoInfo);
+      if (invalid) {
+        throw new Error(`The file name doesn't fit: ${invalid}`);
+      }
+      if (videoInfo.title !== job.videoInfo.title || videoInfo.description !== job.videoInfo.description) {
+        await this.queue.update(job.id, { videoInfo });
+      }
+
+      await this.setState(job, 'uploading', { progress: 0 });
+
+      // The session URI is stored on the job so an upload interrupted by a
+      // restart continues from YouTube's committed offset
+      const result = await this.uploader.uploadVideo(job.userId, {
+        ...videoInfo,
+        filePath: job.filePath,
+        mimeType: job.mimeType
+      }, (percent, uploaded, total) => {
+        job.progress = percent;
+        this.emit('progress', job, { percent, transferred: uploaded, total });
+      }, {
+        sessionUri: job.uploadSessionUri,
+        onSession: (uri) => this.queue.update(job.id, { uploadSessionUri: uri })
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      // The video is on YouTube at this point, a history write failing
+      // must not turn the job into a failure
+      await this.history.add(job.userId, {
+        videoId: result.videoId,
+        videoUrl: result.videoUrl,
+        title: result.title,
+        privacyStatus: result.privacyStatus,
+        publishAt: result.publishAt,
+        jobId: job.id
+      }).catch((error) => {
+        console.error('❌ Error saving upload history:', error);
+      });
+
+      // Extras never fail the job, their outcome is reported on its own
+      if (job.thumbnail) {
+        const thumbnailResult = await this.applyThumbnail(job, result.videoId);
+        await this.queue.update(job.id, { thumbnailResult });
+      }
+
+      if (job.captions?.length) {
+        const captionResults = [];
+        for (const caption of job.captions) {
+          const uploaded = await this.applyCaption(job, result.videoId, caption);
+          captionResults.push({ ...caption, ...uploaded });
+        }
+        await this.queue.update(job.id, { captionResults });
+      }
+
+      if (job.videoInfo.playlists?.length) {
+        const playlistResults = [];
+        for (const playlist of job.videoInfo.playlists) {
+          const added = await this.uploader.addToPlaylist(job.userId, playlist.id, result.videoId);
+          playlistResults.push({ ...playlist, ...added });
+        }
+        await this.queue.update(job.id, { playlistResults });
+      }
+
+      await this.queue.update(job.id, { state: 'done', result, error: null });
+      this.emit('done', job);
+    } catch (error) {
+      console.error(`❌ Job ${job.id} failed:`, error.message);
+      await this.queue.update(job.id, { state: 'failed', error: error.message });
+      this.emit('failed', job);
+    } finally {
+      if (!this.queue.isActive(job)) {
+        await this.downloader.cleanup(job.filePath);
+      }
+    }
+  }
+
+  async applyThumbnail(job, videoId) {
+    let filePath = null;
+
+    try {
+      const fileLink = await this.telegram.getFileLink(job.thumbnail.fileId);
+      const download = await this.downloader.downloadTelegramFile(fileLink.href, `${job.id}_thumbnail`);
+      if (!download.success) {
+        throw new Error(download.error);
+      }
+      filePath = download.filePath;
+
+      const check = await this.uploader.validateThumbnail(filePath);
+      if (!check.valid) {
+        throw new Error(check.error);
+      }
+
+      return await this.uploader.setThumbnail(job.userId, videoId, filePath, check.mimeType);
+    } catch (error) {
+      console.error(`❌ Thumbnail for job ${job.id} failed:`, error.message);
+      return { success: false, error: error.message };
+    } finally {
+      await this.downloader.cleanup(filePath);
+    }
+  }
+
+  // Captions were validated when the user sent them; the file is parsed
+  // again here so what reaches YouTube is always decoded UTF-8
+  async applyCaption(job, videoId, caption) {
+    let filePath = null;
+
+    try {
+      const fileLink = await this.telegram.getFileLink(caption.fileId);
+      const download = await this.downloader.downloadTelegramFile(
+        fileLink.href,
+        `${job.id}_${path.basename(caption.fileName)}`
+      );
+      if (!download.success) {
+        throw new Error(download.error);
+      }
+      filePath = download.filePath;
+
+      const check = validateCaptions(await fs.readFile(filePath), caption.fileName);
+      if (!check.valid) {
+        throw new Error(check.error);
+      }
+
+      return await this.uploader.uploadCaption(job.userId, videoId, {
+        language: caption.language,
+        name: caption.name,
+        text: check.text
+      });
+    } catch (error) {
+      console.error(`❌ Caption ${caption.fileName} for job ${job.id} failed:`, error.message);
+      return { success: false, error: error.message };
+    } finally {
+      await this.downloader.cleanup(filePath);
+    }
+  }
+
+  async download(job, onProgress) {
+    const { source } = job;
+
+    switch (source.type) {
+      case 'telegram': {
+        // File links expire, so resolve the file_id every time
+        const fileLink = await this.telegram.getFileLink(source.fileId);
+        return this.downloader.downloadTelegramVideo(
+          fileLink.href,
+          `${job.id}_${path.basename(source.fileName)}`,
+          onProgress
+        );
+      }
+      case 'url': {
+        // Drive folder items come with their name
+        const extension = source.originalName ? this.downloader.getFileExtension(source.originalName) : '';
+        const download = await this.downloader.downloadUrl(
+          source.url,
+          `url_${job.id}${config.files.allowedExtensions.includes(extension) ? extension : '.mp4'}`,
+          onProgress
+        );
+        return { ...download, originalName: download.originalName || source.originalName || null };
+      }
+      default:
+        throw new Error(`Unknown source type: ${source.type}`);
+    }
+  }
+}
+
+module.exports = UploadWorker;